@@ -5,6 +5,12 @@
   var inliner = newInliner();
   var fontFaces = newFontFaces();
   var images = newImages();
+  var styles = newStyles();
+  var pdf = newPdf();
+  var png = newPng();
+  var zip = newZip();
+  // 默认在所有渲染之间共享的资源缓存
+  var resourceCache = newResourceCache();
 
   // Default impl options
   var defaultOptions = {
@@ -12,6 +18,12 @@
     imagePlaceholder: undefined,
     // Default cache bust is false, it will use the cache
     cacheBust: false,
+    // Default is to fetch at most 6 resources at the same time
+    concurrency: 6,
+    // Default is to give up fetching a resource after 30 seconds
+    timeout: 30000,
+    // Default is to redraw until the result is stable only in Safari
+    drawRetries: undefined,
   };
 
   /**
@@ -20,16 +32,32 @@
    */
   var domtoimage = {
     toSvg: toSvg,
+    toSvgString: toSvgString,
+    toSvgElement: toSvgElement,
+    toCanvas: toCanvas,
+    toImage: toImage,
     toPng: toPng,
     toJpeg: toJpeg,
+    toWebp: toWebp,
     toBlob: toBlob,
+    toPdf: toPdf,
+    toTiles: toTiles,
     toPixelData: toPixelData,
+    renderAll: renderAll,
+    registerFontFace: registerFontFace,
+    trackFontFaces: trackFontFaces,
+    cache: resourceCache,
+    createCache: newResourceCache,
     impl: {
       fontFaces: fontFaces,
       images: images,
       util: util,
       inliner: inliner,
-      options: {},
+      styles: styles,
+      pdf: pdf,
+      png: png,
+      zip: zip,
+      newContext: newContext,
     },
   };
 
@@ -45,29 +73,171 @@
      * @param {Number} options.width - width to be applied to node before rendering.
      * @param {Number} options.height - height to be applied to node before rendering.
      * @param {Object} options.style - an object whose properties to be copied to node's style before rendering.
-     * @param {Number} options.quality - a Number between 0 and 1 indicating image quality (applicable to JPEG only),
+     * @param {Number} options.quality - a Number between 0 and 1 indicating image quality (applicable to JPEG and WebP only),
                  defaults to 1.0.
     * @param {String} options.imagePlaceholder - dataURL to use as a placeholder for failed images, default behaviour is to fail fast on images we can't fetch
-    * @param {Boolean} options.cacheBust - set to true to cache bust by appending the time to the request url
+    * @param {Boolean} options.cacheBust - set to true to cache bust by appending the time to the request url,
+    *          resources are then not shared with other renders
+    * @param {Object|Boolean} options.cache - resource cache to use, @see {@link newResourceCache}. Defaults to
+    *          domtoimage.cache which is shared by all renders, false uses a cache private to this render. Renders
+    *          with their own loader, fetchOptions, rewriteUrl or timeout use a private cache unless one is passed here
+    * @param {Number} options.concurrency - maximum number of resources fetched at the same time, defaults to 6
+    * @param {Boolean} options.embedAllFonts - set to true to embed every web font of the page, by default only the
+    *          faces used by the rendered node (and the unicode-range subsets its text needs) are embedded
+    * @param {Function} options.onStyleSheetError - called with (href, error) for every stylesheet whose rules cannot
+    *          be read nor fetched again, its web fonts are not embedded
+    * @param {Function} options.loader - custom resource loader, called with (url, options) and should return
+    *          a Promise of a Blob, an ArrayBuffer or a data URL. Defaults to an XMLHttpRequest GET
+    * @param {Object} options.fetchOptions - headers and credentials ("include" sends cookies) for the default loader
+    * @param {Number} options.timeout - timeout of the default loader in milliseconds, defaults to 30000
+    * @param {Function} options.rewriteUrl - called with the absolute url of every resource before it is loaded,
+    *          returns the url to load instead (e.g. a same-origin proxy)
+    * @param {Function} options.onResourceError - called with (url, error, kind) for every resource that cannot be
+    *          fetched, kind is one of "image", "font" and "stylesheet"
+    * @param {Boolean} options.strict - set to true to reject the render when any resource or stylesheet fails,
+    *          instead of using the placeholder or an empty resource
+    * @param {Function} options.onReport - called with the render report when the render finishes or fails,
+    *          @see {@link renderReport}
+    * @param {String} options.iframePlaceholder - dataURL of an image to render instead of cross-origin iframes,
+    *          default is to render them as empty boxes
+    * @param {String} options.scroll - "visible" renders the node and its scrolled descendants exactly as they are
+    *          shown, cropped to the node's visible box; "full" renders the whole scrollable content of the node
+    *          while scrolled descendants keep their scroll positions. Default is to render everything at scroll
+    *          position 0 with the size of the node's scrollable content
+    * @param {Boolean|Number} options.timeSlice - set to true to clone the node in small chunks during idle time
+    *          (requestIdleCallback) so the page stays responsive, or a number of milliseconds per chunk. Defaults to 10
+    * @param {Number} options.drawRetries - how many times to redraw the rendered image, one animation frame apart,
+    *          until two draws give the same pixels. Works around Safari painting foreignObject content late.
+    *          Defaults to 3 in Safari and 0 elsewhere
+    * @param {Number} options.maxCanvasSize - largest canvas width or height in pixels, detected by default
+    * @param {Number} options.maxCanvasArea - largest canvas area in pixels, defaults to 16777216 in Safari and
+    *          268435456 elsewhere. Larger renders are drawn in tiles, @see {@link toTiles}
+    * @param {Boolean} options.compactStyles - set to true to only write the computed styles that differ from the
+    *          element's default styles and from what it inherits, instead of every computed property. <style> and
+    *          stylesheet <link> elements inside the node are then left out of the snapshot
+    * @param {Boolean} options.styleClasses - set to true to move identical inline styles into shared generated
+    *          classes, <style> and stylesheet <link> elements inside the node are then left out of the snapshot
+    * @param {Object|Element} options.clip - only render this region of the node: { x, y, width, height } in CSS
+    *          pixels relative to the node's top left corner, or a descendant element whose border box is rendered.
+    *          The whole node is still cloned, so the region keeps its inherited styles
+    * @param {Number} options.pixelRatio - canvas pixels per CSS pixel for raster output, defaults to window.devicePixelRatio
+    * @param {Number} options.scale - alias of options.pixelRatio
+    * @param {Number} options.canvasWidth - exact width of the output canvas, the image is scaled to fit. Without
+    *          canvasHeight the height follows the node's aspect ratio
+    * @param {Number} options.canvasHeight - exact height of the output canvas, the image is scaled to fit. Without
+    *          canvasWidth the width follows the node's aspect ratio
     * @return {Promise} - A promise that is fulfilled with a SVG image data URL
     * */
   function toSvg(node, options) {
-    options = options || {};
-    copyOptions(options);
+    return renderSvg(node, newContext(options));
+  }
+
+  /**
+   * @param {Node} node - The DOM Node object to render
+   * @param {Object} options - Rendering options, @see {@link toSvg}
+   * @return {Promise} - A promise that is fulfilled with the SVG markup
+   * */
+  function toSvgString(node, options) {
+    return renderSvgString(node, newContext(options));
+  }
+
+  /**
+   * @param {Node} node - The DOM Node object to render
+   * @param {Object} options - Rendering options, @see {@link toSvg}
+   * @return {Promise} - A promise that is fulfilled with a SVGElement owned by the current document
+   * */
+  function toSvgElement(node, options) {
+    return toSvgString(node, options).then(function (svg) {
+      var doc = new DOMParser().parseFromString(svg, "image/svg+xml");
+      return document.importNode(doc.documentElement, true);
+    });
+  }
+
+  /**
+   * toSvg 的实际实现，所有状态都从 context 中读取
+   */
+  function renderSvg(node, context) {
+    return renderSvgString(node, context).then(svgDataUri);
+  }
+
+  /**
+   * 生成 svg 字符串
+   */
+  function renderSvgString(node, context) {
+    var options = context.options;
+    // 克隆出来的根节点，clone 是放进 svg 的节点，根节点不能有子节点时是包着它的容器
+    var root;
     return Promise.resolve(node)
       .then(function (node) {
-        return cloneNode(node, options.filter, true);
+        return cloneNode(node, context);
+      })
+      .then(function (clone) {
+        root = clone;
+        return util.isVoidElement(clone) ? voidRootContainer(clone) : clone;
+      })
+      .then(function (clone) {
+        return appendPseudoStyles(clone, context);
+      })
+      .then(function (clone) {
+        return embedFonts(clone, context);
+      })
+      .then(function (clone) {
+        return inlineImages(clone, context);
+      })
+      .then(function (clone) {
+        applyOptions(root);
+        return clone;
       })
-      .then(embedFonts)
-      .then(inlineImages)
-      .then(applyOptions)
       .then(function (clone) {
-        return makeSvgDataUri(
+        return options.styleClasses ? styles.hoistClasses(clone) : clone;
+      })
+      .then(function (clone) {
+        var size = renderSize(node, options);
+        return makeSvgString(
           clone,
-          options.width || util.width(node),
-          options.height || util.height(node)
+          options.width || size.width,
+          options.height || size.height
         );
-      });
+      })
+      .then(function (svg) {
+        var clip = clipRect(node, options);
+        if (!clip) return svg;
+        return svgViewBox(svg, [clip.x, clip.y, clip.width, clip.height]);
+      })
+      .then(
+        function (svg) {
+          styles.release(context);
+          var report = finishReport();
+          if (options.strict && !report.complete) {
+            var error = new Error(
+              "render is incomplete, failed resources: " +
+                report.resources
+                  .filter(function (resource) {
+                    return resource.status === "failed";
+                  })
+                  .map(function (resource) {
+                    return resource.url;
+                  })
+                  .concat(report.failedStyleSheets)
+                  .join(", ")
+            );
+            error.report = report;
+            throw error;
+          }
+          return svg;
+        },
+        function (error) {
+          styles.release(context);
+          error.report = finishReport();
+          throw error;
+        }
+      );
+
+    function finishReport() {
+      var report = renderReport(context);
+      if (options.onReport) options.onReport(report);
+      return report;
+    }
 
     function applyOptions(clone) {
       if (options.bgcolor) clone.style.backgroundColor = options.bgcolor;
@@ -90,10 +260,33 @@
    * @return {Promise} - A promise that is fulfilled with a Uint8Array containing RGBA pixel data.
    * */
   function toPixelData(node, options) {
-    return draw(node, options || {}).then(function (canvas) {
+    return draw(node, newContext(options)).then(function (canvas) {
       return canvas
         .getContext("2d")
-        .getImageData(0, 0, util.width(node), util.height(node)).data;
+        .getImageData(0, 0, canvas.width, canvas.height).data;
+    });
+  }
+
+  /**
+   * @param {Node} node - The DOM Node object to render
+   * @param {Object} options - Rendering options, @see {@link toSvg}
+   * @return {Promise} - A promise that is fulfilled with the rendered canvas
+   * */
+  function toCanvas(node, options) {
+    return draw(node, newContext(options));
+  }
+
+  /**
+   * @param {Node} node - The DOM Node object to render
+   * @param {String} mime - image type, e.g. "image/png", "image/jpeg" or "image/webp". Browsers that cannot encode
+   *          the type return a PNG
+   * @param {Object} options - Rendering options, @see {@link toSvg}, options.quality applies to lossy types
+   * @return {Promise} - A promise that is fulfilled with an image data URL
+   * */
+  function toImage(node, mime, options) {
+    var context = newContext(options);
+    return draw(node, context).then(function (canvas) {
+      return canvas.toDataURL(mime, context.options.quality);
     });
   }
 
@@ -103,9 +296,7 @@
    * @return {Promise} - A promise that is fulfilled with a PNG image data URL
    * */
   function toPng(node, options) {
-    return draw(node, options || {}).then(function (canvas) {
-      return canvas.toDataURL();
-    });
+    return toImage(node, "image/png", options);
   }
 
   /**
@@ -114,562 +305,3064 @@
    * @return {Promise} - A promise that is fulfilled with a JPEG image data URL
    * */
   function toJpeg(node, options) {
-    options = options || {};
-    return draw(node, options).then(function (canvas) {
-      return canvas.toDataURL("image/jpeg", options.quality || 1.0);
-    });
+    return toImage(node, "image/jpeg", qualityOptions(options, 1.0));
   }
 
   /**
    * @param {Node} node - The DOM Node object to render
    * @param {Object} options - Rendering options, @see {@link toSvg}
-   * @return {Promise} - A promise that is fulfilled with a PNG image blob
+   * @return {Promise} - A promise that is fulfilled with a WebP image data URL (PNG in browsers without WebP encoding)
    * */
-  function toBlob(node, options) {
-    return draw(node, options || {}).then(util.canvasToBlob);
+  function toWebp(node, options) {
+    return toImage(node, "image/webp", options);
   }
 
-  function copyOptions(options) {
-    // Copy options to impl options for use in impl
-    if (typeof options.imagePlaceholder === "undefined") {
-      domtoimage.impl.options.imagePlaceholder =
-        defaultOptions.imagePlaceholder;
-    } else {
-      domtoimage.impl.options.imagePlaceholder = options.imagePlaceholder;
+  /**
+   * @param {Node} node - The DOM Node object to render
+   * @param {String} mime - optional image type, defaults to "image/png", @see {@link toImage}
+   * @param {Object} options - Rendering options, @see {@link toSvg}, options.quality applies to lossy types
+   * @return {Promise} - A promise that is fulfilled with an image blob. PNGs larger than the browser's canvas
+   *          limits are drawn in tiles and stitched together
+   * */
+  function toBlob(node, mime, options) {
+    // 兼容 toBlob(node, options)
+    if (typeof mime !== "string") {
+      options = mime;
+      mime = "image/png";
     }
+    return renderBlob(node, newContext(options), mime);
+  }
 
-    if (typeof options.cacheBust === "undefined") {
-      domtoimage.impl.options.cacheBust = defaultOptions.cacheBust;
-    } else {
-      domtoimage.impl.options.cacheBust = options.cacheBust;
-    }
+  function renderBlob(node, context, mime) {
+    var options = context.options;
+    return util.fontsReady().then(function () {
+      if (
+        mime === "image/png" &&
+        !fitsCanvas(canvasSize(node, options), options)
+      )
+        return tiledPng(node, context);
+      return draw(node, context).then(function (canvas) {
+        return util.canvasToBlob(canvas, mime, options.quality);
+      });
+    });
   }
 
   /**
-   * 绘制传入的dom节点
+   * @param {Node} node - The DOM Node object to render
+   * @param {Object} options - Rendering options, @see {@link toSvg}, and:
+   * @param {Number} options.tileWidth - tile width in canvas pixels, defaults to 4096 within the canvas limits
+   * @param {Number} options.tileHeight - tile height in canvas pixels, defaults to 4096 within the canvas limits
+   * @param {Function} options.onTile - called with every tile as soon as it is drawn, may return a Promise to wait
+   *          for (e.g. an upload). Tile canvases are then not kept in the result
+   * @return {Promise} - A promise that is fulfilled with an array of tiles { canvas, x, y, width, height, row,
+   *          column }, in canvas pixels of the whole render, row by row
+   * */
+  function toTiles(node, options) {
+    var context = newContext(options);
+    var onTile = context.options.onTile;
+    var result = [];
+
+    return drawTiles(node, context, function (tiles) {
+      return tiles.reduce(function (done, tile) {
+        return done.then(function () {
+          if (!onTile) return result.push(tile);
+          return Promise.resolve(onTile(tile)).then(function () {
+            result.push({
+              x: tile.x,
+              y: tile.y,
+              width: tile.width,
+              height: tile.height,
+              row: tile.row,
+              column: tile.column,
+            });
+          });
+        });
+      }, Promise.resolve());
+    }).then(function () {
+      return result;
+    });
+  }
+
+  /**
+   * 分块绘制，再按行编码成一张 PNG，整张图片不需要放进一个 canvas
    */
-  function draw(domNode, options) {
-    // 将dom节点转为svg
-    return (
-      toSvg(domNode, options)
-        // 拿到的svg是image data URL,这里进一步通过svg创建图片
-        .then(util.makeImage)
-        .then(util.delay(100))
-        .then(function (image) {
-          // 通过图片创建canvas并返回
-          var canvas = newCanvas(domNode);
-          canvas.getContext("2d").drawImage(image, 0, 0);
-          return canvas;
-        })
-    );
+  function tiledPng(node, context) {
+    // 每次从分块中读取的行数，控制内存占用
+    var ROWS = 256;
+    var encoder;
 
-    function newCanvas(domNode) {
-      var canvas = document.createElement("canvas");
-      canvas.width = options.width || util.width(domNode);
-      canvas.height = options.height || util.height(domNode);
+    return drawTiles(node, context, function (tiles, size) {
+      if (!encoder)
+        encoder = png.newEncoder(size.canvasWidth, size.canvasHeight);
+      var height = tiles[0].height;
 
-      if (options.bgcolor) {
-        var ctx = canvas.getContext("2d");
-        ctx.fillStyle = options.bgcolor;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-      }
+      var done = Promise.resolve();
+      for (var y = 0; y < height; y += ROWS) done = done.then(addRows(y));
+      return done.then(function () {
+        // 释放这一行分块的内存
+        tiles.forEach(function (tile) {
+          tile.canvas.width = 0;
+          tile.canvas.height = 0;
+        });
+      });
 
-      return canvas;
-    }
+      function addRows(y) {
+        return function () {
+          var rows = Math.min(ROWS, height - y);
+          var pixels = new Uint8Array(size.canvasWidth * rows * 4);
+          tiles.forEach(function (tile) {
+            var data = tile.canvas
+              .getContext("2d")
+              .getImageData(0, y, tile.width, rows).data;
+            for (var row = 0; row < rows; row++)
+              pixels.set(
+                data.subarray(row * tile.width * 4, (row + 1) * tile.width * 4),
+                (row * size.canvasWidth + tile.x) * 4
+              );
+          });
+          return encoder.addRows(pixels, rows);
+        };
+      }
+    }).then(function () {
+      return encoder.finish();
+    });
   }
 
   /**
-   * 递归克隆dom节点
-   */
-  function cloneNode(node, filter, root) {
-    if (!root && filter && !filter(node)) return Promise.resolve();
+   * @param {Node} node - The DOM Node object to render
+   * @param {Object} options - Rendering options, @see {@link toSvg}, and:
+   * @param {String|Array} options.pageSize - "a3", "a4", "a5", "letter", "legal" or [width, height] in points
+   *          (1/72 inch), defaults to "a4"
+   * @param {String} options.orientation - "portrait" or "landscape", defaults to the orientation of the page size
+   *          (portrait for the named sizes)
+   * @param {Number|Array} options.margin - page margin in points, a Number or [vertical, horizontal] or
+   *          [top, right, bottom, left], defaults to 0
+   * @param {Number} options.dpi - resolution of the embedded image, defaults to 150
+   * @param {Array|String} options.pageBreaks - offsets in CSS pixels from the top of the node, or a selector of
+   *          elements whose top edge is a break point. Each page ends at the last break point that fits on it,
+   *          content without a fitting break point is cut at the page height
+   * @param {Number} options.quality - JPEG quality of the embedded image, defaults to 0.92
+   * @return {Promise} - A promise that is fulfilled with a PDF blob. The node is scaled to the width of the page
+   *          content box and split into as many pages as needed
+   * */
+  function toPdf(node, options) {
+    return renderPdf(node, newContext(options));
+  }
 
-    return Promise.resolve(node)
-      .then(makeNodeCopy)
-      .then(function (clone) {
-        return cloneChildren(node, clone, filter);
+  function renderPdf(node, context) {
+    var options = context.options;
+    var page;
+    var width;
+    var scale;
+    var ratio;
+    var breaks;
+    var origin;
+    var svg;
+
+    return util
+      .fontsReady()
+      .then(function () {
+        page = pdf.pageLayout(options);
+        var size = outputSize(node, options);
+        width = size.width;
+        // 每个 CSS 像素在页面上的大小（point）
+        scale = page.contentWidth / width;
+        // 图片按 dpi 的分辨率生成，每个 CSS 像素对应 ratio 个图片像素
+        ratio = (scale * (options.dpi || 150)) / 72;
+        options.pixelRatio = ratio;
+        options.canvasWidth = undefined;
+        options.canvasHeight = undefined;
+
+        // 分页位置相对节点顶部，裁剪时换算到裁剪区域的顶部
+        var clip = clipRect(node, options);
+        origin = clip || { x: 0, y: 0 };
+        breaks = pdf.pageBreaks(
+          pdf.breakOffsets(node, options.pageBreaks).map(function (offset) {
+            return offset - origin.y;
+          }),
+          page.contentHeight / scale,
+          size.height
+        );
+
+        return renderSvgString(node, context);
       })
-      .then(function (clone) {
-        return processClone(node, clone);
+      .then(function (result) {
+        svg = result;
+        var pages = [];
+        // 每一页单独绘制，canvas 不会超过一页的大小
+        return breaks
+          .slice(1)
+          .reduce(function (done, bottom, index) {
+            return done.then(function () {
+              var top = breaks[index];
+              if (bottom <= top) return;
+              return pageImage(top, bottom - top).then(function (image) {
+                pages.push({
+                  image: image,
+                  width: page.contentWidth,
+                  height: (bottom - top) * scale,
+                });
+              });
+            });
+          }, Promise.resolve())
+          .then(function () {
+            return new Blob([pdf.write(pages, page)], {
+              type: "application/pdf",
+            });
+          });
       });
 
-    // 遇到canvas转为image对象
-    function makeNodeCopy(node) {
-      if (node instanceof HTMLCanvasElement)
-        return util.makeImage(node.toDataURL());
-      // 克隆第一层
-      return node.cloneNode(false);
-    }
-    // 克隆子节点
-    function cloneChildren(original, clone, filter) {
-      var children = original.childNodes;
-      if (children.length === 0) return Promise.resolve(clone);
+    /**
+     * 通过 viewBox 只绘制一页的内容，编码成 JPEG，透明的地方填充背景色
+     * top、height 为 CSS 像素
+     */
+    function pageImage(top, height) {
+      var size = {
+        width: width,
+        height: height,
+        canvasWidth: Math.max(1, Math.round(width * ratio)),
+        canvasHeight: Math.max(1, Math.round(height * ratio)),
+      };
+      if (!fitsCanvas(size, options))
+        return Promise.reject(tooLargeError(size, options));
 
-      return cloneChildrenInOrder(clone, util.asArray(children), filter).then(
-        function () {
-          return clone;
+      var viewBox = [origin.x, origin.y + top, width, height];
+      return loadSvgImage(svgDataUri(svgViewBox(svg, viewBox)), context).then(
+        function (image) {
+          var canvas = newCanvas(size.canvasWidth, size.canvasHeight, {
+            bgcolor: options.bgcolor || "#fff",
+          });
+          canvas
+            .getContext("2d")
+            .drawImage(image, 0, 0, canvas.width, canvas.height);
+          var dataUrl = canvas.toDataURL("image/jpeg", options.quality || 0.92);
+          // 释放这一页的内存
+          canvas.width = 0;
+          canvas.height = 0;
+          return {
+            data: util.base64ToBytes(dataUrl.split(",")[1]),
+            width: size.canvasWidth,
+            height: size.canvasHeight,
+          };
         }
       );
+    }
+  }
 
-      function cloneChildrenInOrder(parent, children, filter) {
-        var done = Promise.resolve();
-        children.forEach(function (child) {
-          done = done
-            .then(function () {
-              return cloneNode(child, filter);
-            })
-            .then(function (childClone) {
-              if (childClone) parent.appendChild(childClone);
-            });
+  // 没有传入 quality 时使用 quality 默认值
+  function qualityOptions(options, quality) {
+    options = copyOptions(options || {});
+    if (!options.quality) options.quality = quality;
+    return options;
+  }
+
+  /**
+   * @param {Array|NodeList} nodes - the nodes to render, each a Node or { node, filename, options } where options override
+   *          the shared options for this node
+   * @param {Object} options - Rendering options shared by all nodes, @see {@link toSvg}, and:
+   * @param {String} options.format - "png", "jpeg", "webp", "svg" or "pdf" (@see {@link toPdf}), defaults to "png"
+   * @param {Boolean} options.zip - set to true to also package the rendered files into a ZIP blob
+   * @return {Promise} - A promise that is fulfilled with { items, zip }. items has one entry per node:
+   *          { node, filename, ok, blob, error, report }, a failed node does not stop the others.
+   *          Stylesheets are read and resources are fetched once for all nodes
+   * */
+  function renderAll(nodes, options) {
+    options = options || {};
+    // 所有节点共用的资源缓存和字体
+    var shared = {
+      cache: selectCache(copyOptions(options)),
+      webFonts: [],
+    };
+    var filenames = {};
+    var items = [];
+
+    // 依次渲染，同时只有一个节点占用 canvas 的内存
+    // nodes 也可以是 querySelectorAll 返回的 NodeList
+    return util
+      .asArray(nodes)
+      .reduce(function (done, entry, index) {
+        return done.then(function () {
+          return renderItem(entry, index).then(function (item) {
+            items.push(item);
+          });
         });
-        return done;
-      }
-    }
+      }, Promise.resolve())
+      .then(function () {
+        if (!options.zip) return { items: items, zip: undefined };
+        return zipItems(items).then(function (zip) {
+          return { items: items, zip: zip };
+        });
+      });
 
-    function processClone(original, clone) {
-      if (!(clone instanceof Element)) return clone;
+    function renderItem(entry, index) {
+      if (util.isInstanceOf(entry, "Node")) entry = { node: entry };
+      var node = entry.node;
+      var itemOptions = copyOptions(options);
+      Object.keys(entry.options || {}).forEach(function (key) {
+        itemOptions[key] = entry.options[key];
+      });
+      var format = itemOptions.format || "png";
+      if (format === "jpeg" && !itemOptions.quality) itemOptions.quality = 1.0;
+
+      // 单独指定了请求方式的节点不能共用缓存和字体，否则它请求到的资源会被其他渲染使用
+      var context = newContext(
+        itemOptions,
+        overridesLoading(entry.options)
+          ? { cache: selectCache(itemOptions), webFonts: [] }
+          : shared
+      );
+      var item = {
+        node: node,
+        filename: uniqueName(
+          entry.filename || "image-" + (index + 1) + "." + extension(format)
+        ),
+      };
 
       return Promise.resolve()
-        .then(cloneStyle)
-        .then(clonePseudoElements)
-        .then(copyUserInput)
-        .then(fixSvg)
         .then(function () {
-          console.log(clone);
-          return clone;
+          return renderFormat(node, context, format);
+        })
+        .then(
+          function (blob) {
+            item.ok = true;
+            item.blob = blob;
+          },
+          function (error) {
+            item.ok = false;
+            item.error = error;
+          }
+        )
+        .then(function () {
+          item.report = renderReport(context);
+          return item;
         });
-      // 克隆节点上面所有使用的样式。
-      function cloneStyle() {
-        // 顺便提提，为什么不用style，因为如果什么样式也没有设置的话，style是光秃秃的
-        // 而getComputedStyle则能获取到应用在节点上面所有样式
-        copyStyle(window.getComputedStyle(original), clone.style);
+    }
 
-        function copyStyle(source, target) {
-          if (source.cssText) target.cssText = source.cssText;
-          else copyProperties(source, target);
+    function overridesLoading(entryOptions) {
+      return [
+        "loader",
+        "fetchOptions",
+        "rewriteUrl",
+        "timeout",
+        "cacheBust",
+        "cache",
+      ].some(function (key) {
+        return entryOptions && typeof entryOptions[key] !== "undefined";
+      });
+    }
 
-          function copyProperties(source, target) {
-            util.asArray(source).forEach(function (name) {
-              target.setProperty(
-                name,
-                source.getPropertyValue(name),
-                source.getPropertyPriority(name)
-              );
-            });
-          }
-        }
-      }
-      // 提出伪类样式，放到css
-      function clonePseudoElements() {
-        [":before", ":after"].forEach(function (element) {
-          clonePseudoElement(element);
+    function renderFormat(node, context, format) {
+      if (format === "svg")
+        return renderSvgString(node, context).then(function (svg) {
+          return new Blob([svg], { type: "image/svg+xml" });
         });
+      if (format === "pdf") return renderPdf(node, context);
+      if (!/^(png|jpeg|webp)$/.test(format))
+        throw new Error("unknown format: " + format);
+      return renderBlob(node, context, "image/" + format);
+    }
 
-        function clonePseudoElement(element) {
-          var style = window.getComputedStyle(original, element);
-          var content = style.getPropertyValue("content");
+    function extension(format) {
+      return format === "jpeg" ? "jpg" : format;
+    }
 
-          if (content === "" || content === "none") return;
+    // 压缩包中的文件名不能重复，重复的加上序号
+    function uniqueName(filename) {
+      var name = filename;
+      var dot = filename.lastIndexOf(".");
+      for (var i = 2; filenames[name]; i++)
+        name =
+          dot > 0
+            ? filename.slice(0, dot) + " (" + i + ")" + filename.slice(dot)
+            : filename + " (" + i + ")";
+      filenames[name] = true;
+      return name;
+    }
 
-          var className = util.uid();
-          clone.className = clone.className + " " + className;
-          var styleElement = document.createElement("style");
-          styleElement.appendChild(
-            formatPseudoElementStyle(className, element, style)
-          );
-          clone.appendChild(styleElement);
-          console.log("clone", clone);
-          function formatPseudoElementStyle(className, element, style) {
-            var selector = "." + className + ":" + element;
-            var cssText = style.cssText
-              ? formatCssText(style)
-              : formatCssProperties(style);
-            return document.createTextNode(selector + "{" + cssText + "}");
-
-            function formatCssText(style) {
-              var content = style.getPropertyValue("content");
-              return style.cssText + " content: " + content + ";";
-            }
+    function zipItems(items) {
+      var rendered = items.filter(function (item) {
+        return item.ok;
+      });
+      return Promise.all(
+        rendered.map(function (item) {
+          return util.blobToBytes(item.blob);
+        })
+      ).then(function (contents) {
+        return zip.write(
+          rendered.map(function (item, index) {
+            return { name: item.filename, data: contents[index] };
+          })
+        );
+      });
+    }
+  }
 
-            function formatCssProperties(style) {
-              return util.asArray(style).map(formatProperty).join("; ") + ";";
+  /**
+   * Fonts loaded through the FontFace API are only embedded when their source is known: call this once,
+   * before the page creates its FontFace objects, to record the source of every FontFace constructed
+   * afterwards. It replaces window.FontFace with a wrapper that still returns native FontFace objects.
+   * Faces created earlier, or by subclasses of FontFace, must be passed to {@link registerFontFace}
+   * @return {undefined}
+   * */
+  function trackFontFaces() {
+    fontFaces.trackFontFaces();
+  }
 
-              function formatProperty(name) {
-                return (
-                  name +
-                  ": " +
-                  style.getPropertyValue(name) +
-                  (style.getPropertyPriority(name) ? " !important" : "")
-                );
-              }
-            }
-          }
-        }
-      }
-      // 处理输入框内容
-      function copyUserInput() {
-        if (original instanceof HTMLTextAreaElement)
-          clone.innerHTML = original.value;
-        if (original instanceof HTMLInputElement)
-          clone.setAttribute("value", original.value);
-      }
-      // 处理svg，创建命名空间
-      function fixSvg() {
-        if (!(clone instanceof SVGElement)) return;
-        clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  /**
+   * Records the source of a FontFace so that it is embedded once it is loaded and used by the rendered node
+   * @param {FontFace} face - The FontFace object, as added to document.fonts
+   * @param {String|ArrayBuffer|ArrayBufferView} source - the same source that was passed to the FontFace
+   *          constructor: a CSS src string, an ArrayBuffer or an ArrayBufferView
+   * @return {undefined}
+   * */
+  function registerFontFace(face, source) {
+    fontFaces.register(face, source);
+  }
 
-        if (!(clone instanceof SVGRectElement)) return;
-        ["width", "height"].forEach(function (attribute) {
-          var value = clone.getAttribute(attribute);
-          if (!value) return;
+  /**
+   * 创建一次渲染的上下文
+   * 每次调用都有自己的选项、资源缓存和状态，并发渲染时互不影响
+   * shared 为 renderAll 中所有渲染共用的资源缓存和读取到的字体
+   */
+  function newContext(options, shared) {
+    options = copyOptions(options || {});
+    var context = {
+      options: options,
+      shared: shared,
+      cache: shared ? shared.cache : selectCache(options),
+      queue: util.limit(options.concurrency),
+      state: {
+        // 克隆树中用到的字体，嵌入字体时只嵌入用到的
+        fonts: fontFaces.newUsage(),
+        // 无法读取也无法重新请求的样式表地址
+        failedStyleSheets: [],
+        // 每一次资源请求的结果，用于渲染报告
+        resources: [],
+        // 克隆用到的文档，同源 iframe 的文档也会加入，字体从这些文档中读取
+        documents: [document],
+        // 克隆时经过的 open shadow root，它们的样式表中的字体也会被读取
+        shadowRoots: [],
+        // 所有节点的伪元素样式，克隆完成后放到同一个 <style> 中
+        pseudoStyles: [],
+        // 内联的图片（data URL），绘制前确认它们都已经解码
+        images: [],
+      },
+      fetch: fetch,
+      get: get,
+      getter: getter,
+    };
+    return context;
 
-          clone.style.setProperty(attribute, value);
+    /**
+     * 通过缓存请求资源，失败时 reject
+     * kind 为资源类型：image、font 或 stylesheet
+     */
+    function fetch(url, kind) {
+      return request(url, kind).promise;
+    }
+
+    /**
+     * 请求资源，失败时使用本次渲染的 imagePlaceholder
+     * 失败的结果不会进入缓存，所以不同渲染的占位图不会互相影响
+     * strict 模式下不使用占位图，直接 reject
+     */
+    function get(url, kind) {
+      var result = request(url, kind);
+      return result.promise
+        .catch(function (error) {
+          if (options.strict) throw error;
+          var content = util.fallbackContent(error, options);
+          if (content) result.resource.status = "placeholder";
+          return content;
+        })
+        .then(function (content) {
+          if (content && result.resource.kind === "image")
+            context.state.images.push(
+              util.dataAsUrl(content, util.mimeType(url))
+            );
+          return content;
         });
-      }
+    }
+
+    /**
+     * 返回只接收 url 的 get，用于 inliner 等只传 url 的地方
+     */
+    function getter(kind) {
+      return function (url) {
+        return get(url, kind);
+      };
+    }
+
+    function request(url, kind) {
+      var resource = {
+        url: util.absoluteUrl(url),
+        kind: kind || "image",
+        status: "cached",
+      };
+      context.state.resources.push(resource);
+
+      var promise = context.cache
+        .get(url, function (url) {
+          resource.status = "fetched";
+          return context.queue(function () {
+            return util.fetchAndEncode(url, options);
+          });
+        })
+        .catch(function (error) {
+          resource.status = "failed";
+          resource.reason = error.message;
+          if (options.onResourceError)
+            options.onResourceError(resource.url, error, resource.kind);
+          throw error;
+        });
+      return { resource: resource, promise: promise };
     }
   }
 
   /**
-   * 嵌入字体
-   * 提取font-face
-   * 用内部样式加载
+   * 选择渲染使用的资源缓存
+   * cacheBust 的请求每次都不一样，不能和其他渲染共享
+   * 缓存的 key 只有 url，自定义了加载方式（loader、请求头、凭证、代理、超时）时加载到的内容可能不同，
+   * 比如带着授权请求头取到的私有图片，不能放进共享的缓存给其他渲染使用，除非明确传入了 options.cache
    */
-  function embedFonts(node) {
-    return fontFaces.resolveAll().then(function (cssText) {
-      var styleNode = document.createElement("style");
-      node.appendChild(styleNode);
-      styleNode.appendChild(document.createTextNode(cssText));
-      return node;
+  function selectCache(options) {
+    if (options.cache === false || options.cacheBust) return newResourceCache();
+    if (options.cache) return options.cache;
+    if (
+      options.loader ||
+      options.fetchOptions ||
+      options.rewriteUrl ||
+      options.timeout !== defaultOptions.timeout
+    )
+      return newResourceCache();
+    return resourceCache;
+  }
+
+  /**
+   * 渲染报告
+   * resources 为每一次资源请求：{ url, kind, status, reason }，
+   * status 为 fetched（请求）、cached（来自缓存）、failed（失败）或 placeholder（失败后使用了占位图）
+   * failedStyleSheets 为无法读取字体的样式表，complete 表示所有资源都成功嵌入
+   */
+  function renderReport(context) {
+    var resources = context.state.resources.map(function (resource) {
+      return {
+        url: resource.url,
+        kind: resource.kind,
+        status: resource.status,
+        reason: resource.reason,
+      };
     });
+    var failedStyleSheets = context.state.failedStyleSheets.slice();
+
+    return {
+      complete:
+        failedStyleSheets.length === 0 &&
+        resources.every(function (resource) {
+          return resource.status === "fetched" || resource.status === "cached";
+        }),
+      resources: resources,
+      failedStyleSheets: failedStyleSheets,
+    };
   }
 
   /**
-   * 嵌入图片
+   * 复制一份选项，未传入的使用默认值
    */
-  function inlineImages(node) {
-    return images.inlineAll(node).then(function () {
-      return node;
+  function copyOptions(options) {
+    var copy = {};
+    Object.keys(options).forEach(function (key) {
+      copy[key] = options[key];
+    });
+    Object.keys(defaultOptions).forEach(function (key) {
+      if (typeof copy[key] === "undefined") copy[key] = defaultOptions[key];
     });
+    return copy;
   }
 
   /**
-   * 创建SVG
+   * 绘制传入的dom节点
    */
-  function makeSvgDataUri(node, width, height) {
+  function draw(domNode, context) {
+    var options = context.options;
+    // 等页面上的字体加载完成再克隆，否则读到的还是后备字体
     return (
-      Promise.resolve(node)
-        .then(function (node) {
-          // 将dom转换为字符串
-          node.setAttribute("xmlns", "http://www.w3.org/1999/xhtml");
-          return new XMLSerializer().serializeToString(node);
+      util
+        .fontsReady()
+        .then(function () {
+          var size = canvasSize(domNode, options);
+          if (!fitsCanvas(size, options)) throw tooLargeError(size, options);
         })
-        .then(util.escapeXhtml)
-        .then(function (xhtml) {
-          return (
-            '<foreignObject x="0" y="0" width="100%" height="100%">' +
-            xhtml +
-            "</foreignObject>"
-          );
+        // 将dom节点转为svg
+        .then(function () {
+          return renderSvg(domNode, context);
         })
-        /**
-         * 顺带提一提
-         * 不指定xmlns命名空间是不会渲染的
-         * xmlns="http://www.w3.org/2000/svg"
-         */
-
-        .then(function (foreignObject) {
-          return (
-            '<svg xmlns="http://www.w3.org/2000/svg" width="' +
-            width +
-            '" height="' +
-            height +
-            '">' +
-            foreignObject +
-            "</svg>"
-          );
+        // 拿到的svg是image data URL,这里进一步通过svg创建图片
+        .then(function (uri) {
+          return loadSvgImage(uri, context);
         })
-        .then(function (svg) {
-          return "data:image/svg+xml;charset=utf-8," + svg;
+        .then(function (image) {
+          // 通过图片创建canvas并返回，图片按 pixelRatio 缩放铺满整个canvas
+          var size = canvasSize(domNode, options);
+          var canvas = newCanvas(size.canvasWidth, size.canvasHeight, options);
+          canvas.style.width = size.width + "px";
+          canvas.style.height = size.height + "px";
+          canvas
+            .getContext("2d")
+            .drawImage(image, 0, 0, canvas.width, canvas.height);
+          return canvas;
         })
     );
   }
 
   /**
-   * 这里定义了一堆公共使用的方法
+   * 分块绘制，用于超过浏览器 canvas 尺寸限制的节点
+   * svg 只生成一次，每一块通过 viewBox 平移到对应的区域再绘制
+   * 按行绘制，每画完一行调用 onBand(tiles, size)，tile 为 { canvas, x, y, width, height, row, column }，
+   * 位置和尺寸的单位是输出图片的像素
    */
-  function newUtil() {
+  function drawTiles(domNode, context, onBand) {
+    var options = context.options;
+    var size;
+    var tile;
+    var scaleX;
+    var scaleY;
+    var svg;
+    // 裁剪时 svg 的 viewBox 从裁剪区域的左上角开始
+    var origin;
+
+    return util
+      .fontsReady()
+      .then(function () {
+        return renderSvgString(domNode, context);
+      })
+      .then(function (result) {
+        svg = result;
+        origin = clipRect(domNode, options) || { x: 0, y: 0 };
+        size = canvasSize(domNode, options);
+        tile = tileSize(size, options);
+        scaleX = size.canvasWidth / size.width;
+        scaleY = size.canvasHeight / size.height;
+        return drawRow(0);
+      });
+
+    function drawRow(y) {
+      if (y >= size.canvasHeight) return;
+
+      var tiles = [];
+      for (var x = 0; x < size.canvasWidth; x += tile.width)
+        tiles.push({
+          x: x,
+          y: y,
+          width: Math.min(tile.width, size.canvasWidth - x),
+          height: Math.min(tile.height, size.canvasHeight - y),
+          row: y / tile.height,
+          column: x / tile.width,
+        });
+
+      return tiles
+        .reduce(function (done, tile) {
+          return done.then(function () {
+            return drawTile(tile);
+          });
+        }, Promise.resolve())
+        .then(function () {
+          return onBand(tiles, size);
+        })
+        .then(function () {
+          return drawRow(y + tile.height);
+        });
+    }
+
+    function drawTile(tile) {
+      var viewBox = [
+        origin.x + tile.x / scaleX,
+        origin.y + tile.y / scaleY,
+        tile.width / scaleX,
+        tile.height / scaleY,
+      ];
+      return loadSvgImage(svgDataUri(svgViewBox(svg, viewBox)), context).then(
+        function (image) {
+          tile.canvas = newCanvas(tile.width, tile.height, options);
+          tile.canvas
+            .getContext("2d")
+            .drawImage(image, 0, 0, tile.width, tile.height);
+        }
+      );
+    }
+  }
+
+  /**
+   * 输出的尺寸：width、height 为 css 尺寸，canvasWidth、canvasHeight 为 canvas 的像素
+   * canvas 的实际像素是 css 尺寸乘以 pixelRatio，显示尺寸保持不变
+   */
+  function canvasSize(domNode, options) {
+    var size = outputSize(domNode, options);
+    var ratio = util.pixelRatio(options);
+    var canvasWidth = options.canvasWidth;
+    var canvasHeight = options.canvasHeight;
+
+    // 只指定了一边时，另一边按宽高比计算，图片不会被拉伸
+    if (canvasWidth && !canvasHeight)
+      canvasHeight = Math.round((canvasWidth * size.height) / size.width);
+    else if (canvasHeight && !canvasWidth)
+      canvasWidth = Math.round((canvasHeight * size.width) / size.height);
+
     return {
-      escape: escape,
-      parseExtension: parseExtension,
-      mimeType: mimeType,
-      dataAsUrl: dataAsUrl,
-      isDataUrl: isDataUrl,
-      canvasToBlob: canvasToBlob,
-      resolveUrl: resolveUrl,
-      getAndEncode: getAndEncode,
-      uid: uid(),
-      delay: delay,
-      asArray: asArray,
-      escapeXhtml: escapeXhtml,
-      makeImage: makeImage,
-      width: width,
-      height: height,
+      width: size.width,
+      height: size.height,
+      canvasWidth: canvasWidth || Math.floor(size.width * ratio),
+      canvasHeight: canvasHeight || Math.floor(size.height * ratio),
     };
+  }
 
-    function mimes() {
-      /*
-       * Only WOFF and EOT mime types for fonts are 'real'
-       * see http://www.iana.org/assignments/media-types/media-types.xhtml
-       */
-      var WOFF = "application/font-woff";
-      var JPEG = "image/jpeg";
+  /**
+   * 输出图片的 css 尺寸，裁剪时为裁剪区域的大小
+   */
+  function outputSize(node, options) {
+    var clip = clipRect(node, options);
+    if (clip) return { width: clip.width, height: clip.height };
 
-      return {
-        woff: WOFF,
-        woff2: WOFF,
-        ttf: "application/font-truetype",
-        eot: "application/vnd.ms-fontobject",
-        png: "image/png",
-        jpg: JPEG,
-        jpeg: JPEG,
-        gif: "image/gif",
-        tiff: "image/tiff",
-        svg: "image/svg+xml",
+    var size = renderSize(node, options);
+    return {
+      width: options.width || size.width,
+      height: options.height || size.height,
+    };
+  }
+
+  /**
+   * 裁剪区域，相对节点左上角的 css 尺寸，没有 options.clip 时返回 null
+   * clip 为节点中的元素时，裁剪为这个元素的边框盒
+   */
+  function clipRect(node, options) {
+    var clip = options.clip;
+    if (!clip) return null;
+
+    var rect;
+    if (util.isInstanceOf(clip, "Element")) {
+      if (clip === node || !node.contains(clip))
+        throw new Error("options.clip must be an element inside the node");
+      var origin = node.getBoundingClientRect();
+      var bounds = clip.getBoundingClientRect();
+      var scroll = clipScroll(node, clip, options.scroll);
+      rect = {
+        x: bounds.left - origin.left + scroll.x,
+        y: bounds.top - origin.top + scroll.y,
+        width: bounds.width,
+        height: bounds.height,
+      };
+    } else {
+      rect = {
+        x: clip.x || 0,
+        y: clip.y || 0,
+        width: clip.width,
+        height: clip.height,
       };
     }
 
-    function parseExtension(url) {
-      var match = /\.([^\.\/]*?)$/g.exec(url);
-      if (match) return match[1];
-      else return "";
+    if (
+      !isFinite(rect.x) ||
+      !isFinite(rect.y) ||
+      !(rect.width > 0 && isFinite(rect.width)) ||
+      !(rect.height > 0 && isFinite(rect.height))
+    )
+      throw new Error(
+        "options.clip must have a positive width and height, got " +
+          JSON.stringify({
+            x: rect.x,
+            y: rect.y,
+            width: rect.width,
+            height: rect.height,
+          })
+      );
+    return rect;
+  }
+
+  /**
+   * getBoundingClientRect 是按当前滚动位置量出来的，克隆中的滚动位置可能已经归零：
+   * scroll 为 visible 时都保留；为 full 时只有节点本身展开；默认所有滚动都归零
+   */
+  function clipScroll(node, clip, mode) {
+    var scroll = { x: 0, y: 0 };
+    if (mode === "visible") return scroll;
+
+    var scroller = mode === "full" ? node : clip.parentNode;
+    while (scroller) {
+      scroll.x += scroller.scrollLeft || 0;
+      scroll.y += scroller.scrollTop || 0;
+      if (scroller === node) break;
+      scroller = scroller.parentNode;
+    }
+    return scroll;
+  }
+
+  function fitsCanvas(size, options) {
+    var limits = util.canvasLimits(options);
+    return (
+      size.canvasWidth <= limits.maxSize &&
+      size.canvasHeight <= limits.maxSize &&
+      size.canvasWidth * size.canvasHeight <= limits.maxArea
+    );
+  }
+
+  function tooLargeError(size, options) {
+    var limits = util.canvasLimits(options);
+    return new Error(
+      "node is too large to draw on a single canvas: " +
+        size.canvasWidth +
+        "x" +
+        size.canvasHeight +
+        " pixels, the browser allows at most " +
+        limits.maxSize +
+        " pixels per side and " +
+        limits.maxArea +
+        " pixels in total. Use toTiles, toBlob with PNG or a smaller pixelRatio"
+    );
+  }
+
+  /**
+   * 分块的大小（canvas 像素），默认在浏览器限制内，每边不超过 4096 像素
+   */
+  function tileSize(size, options) {
+    var limits = util.canvasLimits(options);
+    var width = Math.min(
+      options.tileWidth || 4096,
+      limits.maxSize,
+      size.canvasWidth
+    );
+    var height = Math.min(
+      options.tileHeight || 4096,
+      limits.maxSize,
+      Math.floor(limits.maxArea / width),
+      size.canvasHeight
+    );
+    return { width: Math.max(1, width), height: Math.max(1, height) };
+  }
+
+  function newCanvas(width, height, options) {
+    var canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+
+    if (options.bgcolor) {
+      var ctx = canvas.getContext("2d");
+      ctx.fillStyle = options.bgcolor;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    return canvas;
+  }
+
+  /**
+   * 通过 svg 的 data URL 创建图片，等里面的图片都解码完成，绘制结果稳定之后再返回
+   */
+  function loadSvgImage(uri, context) {
+    return imagesReady(context)
+      .then(function () {
+        return util.makeImage(uri);
+      })
+      .then(util.decodeImage)
+      .then(function (image) {
+        return stabilize(image, context.options);
+      });
+  }
+
+  /**
+   * 内联的图片都解码完成后再加载 svg，svg 图片中的图片是异步解码的，否则可能画出空白
+   * 解码失败的图片不影响绘制，分块绘制时只需要等待一次
+   */
+  function imagesReady(context) {
+    if (context.state.imagesReady) return context.state.imagesReady;
+
+    var urls = context.state.images.filter(function (url, index, all) {
+      return all.indexOf(url) === index;
+    });
+    context.state.imagesReady = Promise.all(
+      urls.map(function (url) {
+        return util
+          .makeImage(url)
+          .then(util.decodeImage)
+          .catch(function () {});
+      })
+    );
+    return context.state.imagesReady;
+  }
+
+  /**
+   * Safari 第一次绘制含有 foreignObject 的 svg 时，里面的图片和字体可能还没画出来
+   * 每隔一帧重新绘制一次，直到前后两次的像素相同，最多 drawRetries 次
+   */
+  function stabilize(image, options) {
+    var retries = options.drawRetries;
+    if (typeof retries === "undefined") retries = util.isSafari() ? 3 : 0;
+    if (!retries) return image;
+
+    return attempt(util.fingerprint(image), retries);
+
+    function attempt(previous, retries) {
+      return util.nextFrame().then(function () {
+        var current = util.fingerprint(image);
+        // 无法读取像素（canvas 被污染）时不再比较
+        if (current === null || current === previous || retries <= 1)
+          return image;
+        return attempt(current, retries - 1);
+      });
+    }
+  }
+
+  /**
+   * 渲染的尺寸
+   * scroll 为 visible 时只渲染节点可见的部分，否则是节点全部可滚动的内容
+   */
+  function renderSize(node, options) {
+    if (options.scroll === "visible") {
+      if (util.isViewportScroller(node))
+        return { width: window.innerWidth, height: window.innerHeight };
+      return { width: node.offsetWidth, height: node.offsetHeight };
+    }
+    return { width: util.width(node), height: util.height(node) };
+  }
+
+  /**
+   * 克隆dom节点
+   * 遍历和样式的复制都是同步的，图片、字体这些资源在克隆完成后再异步内联
+   * options.timeSlice 开启时分成多段在空闲时间执行，不会长时间阻塞页面
+   */
+  function cloneNode(node, context) {
+    var filter = context.options.filter;
+    var result;
+    // 待处理的任务栈：先复制节点本身，子节点全部处理完后再执行它的 finish
+    var tasks = [{ node: node, parent: null, root: true }];
+
+    return context.options.timeSlice ? runSliced() : runAll();
+
+    function runAll() {
+      return new Promise(function (resolve) {
+        while (tasks.length) runTask(tasks.pop());
+        resolve(result);
+      });
+    }
+
+    function runSliced() {
+      var budget =
+        typeof context.options.timeSlice === "number"
+          ? context.options.timeSlice
+          : 10;
+      return new Promise(function (resolve, reject) {
+        nextSlice();
+
+        function nextSlice() {
+          util.idle(function (deadline) {
+            var end = Date.now() + budget;
+            try {
+              do {
+                runTask(tasks.pop());
+              } while (tasks.length && Date.now() < end && deadline.timeRemaining() > 0);
+            } catch (e) {
+              return reject(e);
+            }
+            if (tasks.length) nextSlice();
+            else resolve(result);
+          });
+        }
+      });
+    }
+
+    function runTask(task) {
+      if (task.finish) return task.finish();
+
+      var original = task.node;
+      if (!task.root && filter && !filter(original)) return;
+      // <picture> 的 <source> 不克隆，<img> 会直接使用浏览器选中的图片
+      if (
+        util.isInstanceOf(original, "HTMLSourceElement") &&
+        util.isInstanceOf(original.parentNode, "HTMLPictureElement")
+      )
+        return;
+
+      var clone = makeNodeCopy(original);
+      if (task.parent) task.parent.appendChild(clone);
+      else result = clone;
+
+      var finish = processClone(original, clone, task.root);
+      if (finish) tasks.push({ finish: finish });
+
+      // 倒序入栈，出栈时按原来的顺序插入
+      var children = childNodesOf(original);
+      for (var i = children.length - 1; i >= 0; i--)
+        tasks.push({ node: children[i], parent: clone });
+    }
+
+    // 遇到canvas转为image对象，video 转为当前帧的图片，iframe 转为装着它内容的 div
+    function makeNodeCopy(node) {
+      if (util.isInstanceOf(node, "HTMLCanvasElement"))
+        return imageOf(node.toDataURL());
+      if (util.isInstanceOf(node, "HTMLVideoElement")) return videoFrame(node);
+      if (util.isInstanceOf(node, "HTMLIFrameElement")) return iframeBox(node);
+      return shallowCopy(node);
+    }
+
+    // 克隆第一层，iframe 中的节点导入到当前文档
+    function shallowCopy(node) {
+      if (node.ownerDocument && node.ownerDocument !== document)
+        return document.importNode(node, false);
+      return node.cloneNode(false);
+    }
+
+    /**
+     * 把 video 当前的画面画到 canvas 上再转成图片
+     * 还没有画面或者跨域视频无法读取时，保留 video 显示 poster
+     */
+    function videoFrame(video) {
+      if (video.readyState < 2 || !video.videoWidth) return shallowCopy(video);
+      try {
+        var canvas = document.createElement("canvas");
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext("2d").drawImage(video, 0, 0);
+        return imageOf(canvas.toDataURL());
+      } catch (e) {
+        return shallowCopy(video);
+      }
+    }
+
+    /**
+     * 同源 iframe 克隆为一个 div，内容在 cloneChildren 中放进去
+     * 跨域的 iframe 使用 options.iframePlaceholder，没有的话是一个空的盒子
+     */
+    function iframeBox(iframe) {
+      if (!iframeDocument(iframe) && context.options.iframePlaceholder)
+        return imageOf(context.options.iframePlaceholder);
+      return document.createElement("div");
+    }
+
+    // 图片只用于序列化，不需要等它加载完成
+    function imageOf(src) {
+      var image = new Image();
+      image.src = src;
+      return image;
+    }
+
+    function iframeDocument(iframe) {
+      try {
+        var doc = iframe.contentDocument;
+        return doc && doc.body ? doc : null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    /**
+     * 需要克隆的子节点
+     * canvas、video 已经转成图片，不需要子节点；textarea 的内容在 copyUserInput 中写入；
+     * 同源 iframe 的子节点是它文档的 body
+     * 有 open shadow root 的元素克隆 shadow root 中的内容，<slot> 克隆分配给它的节点，
+     * 也就是按最终渲染的组合树（composed tree）克隆
+     */
+    function childNodesOf(original) {
+      if (
+        util.isInstanceOf(original, "HTMLCanvasElement") ||
+        util.isInstanceOf(original, "HTMLVideoElement") ||
+        util.isInstanceOf(original, "HTMLTextAreaElement")
+      )
+        return [];
+      if (util.isInstanceOf(original, "HTMLIFrameElement")) {
+        var doc = iframeDocument(original);
+        if (!doc) return [];
+        if (context.state.documents.indexOf(doc) === -1)
+          context.state.documents.push(doc);
+        return [doc.body];
+      }
+      if (original.shadowRoot) return shadowChildNodes(original.shadowRoot);
+      // 精简样式用来读取默认样式的 iframe 可能已经加到了 body 中，它不属于快照
+      var children = util.asArray(original.childNodes).filter(isNotSandbox);
+      if (util.isInstanceOf(original, "HTMLSlotElement")) {
+        var assigned = original.assignedNodes({ flatten: true });
+        if (assigned.length) children = assigned;
+      }
+      // 精简样式和共用 class 都假设快照中没有其他样式规则：
+      // 页面的规则会覆盖省略掉的默认值，也会比生成的 class 优先
+      if (context.options.compactStyles || context.options.styleClasses)
+        return children.filter(isNotStyleSheet);
+      return children;
+    }
+
+    /**
+     * shadow root 中的 <style> 和样式表 <link> 不克隆，
+     * 样式已经通过 computed style 复制到每个节点上，留着它们会作用到整个快照
+     */
+    function shadowChildNodes(shadowRoot) {
+      if (context.state.shadowRoots.indexOf(shadowRoot) === -1)
+        context.state.shadowRoots.push(shadowRoot);
+
+      return util.asArray(shadowRoot.childNodes).filter(isNotStyleSheet);
+    }
+
+    function isNotSandbox(node) {
+      return node !== context.state.sandbox;
+    }
+
+    function isNotStyleSheet(node) {
+      if (util.isInstanceOf(node, "HTMLStyleElement")) return false;
+      return !(
+        util.isInstanceOf(node, "HTMLLinkElement") &&
+        /(^|\s)stylesheet(\s|$)/i.test(node.rel)
+      );
+    }
+
+    /**
+     * 处理克隆出来的元素
+     * 返回子节点都克隆完成后才能执行的处理（滚动位置需要用到子节点）
+     */
+    function processClone(original, clone, root) {
+      if (!(clone instanceof Element)) return;
+      var computedStyle = util.computedStyle(original);
+
+      cloneStyle();
+      fixIframeBox();
+      recordFontUsage();
+      clonePseudoElements();
+      copyUserInput();
+      fixImageSource();
+      fixSvg();
+      return keepScrollPosition;
+
+      // 克隆节点上面所有使用的样式。
+      function cloneStyle() {
+        // 顺便提提，为什么不用style，因为如果什么样式也没有设置的话，style是光秃秃的
+        // 而getComputedStyle则能获取到应用在节点上面所有样式
+        if (context.options.compactStyles) {
+          styles.copyCompact(original, computedStyle, clone.style, context, {
+            root: root || isIframeBody(original),
+          });
+          return;
+        }
+        copyStyle(computedStyle, clone.style);
+
+        function copyStyle(source, target) {
+          if (source.cssText) target.cssText = source.cssText;
+          else copyProperties(source, target);
+
+          function copyProperties(source, target) {
+            util.asArray(source).forEach(function (name) {
+              target.setProperty(
+                name,
+                source.getPropertyValue(name),
+                source.getPropertyPriority(name)
+              );
+            });
+          }
+        }
+      }
+      function isIframeBody(node) {
+        var doc = node.ownerDocument;
+        return doc !== document && node === doc.body;
+      }
+      // iframe 的盒子：和 iframe 一样大，超出的内容隐藏，背景取 iframe 文档根元素的背景
+      function fixIframeBox() {
+        if (!util.isInstanceOf(original, "HTMLIFrameElement")) return;
+        if (computedStyle.getPropertyValue("display") === "inline")
+          clone.style.setProperty("display", "inline-block");
+        clone.style.setProperty("overflow", "hidden");
+
+        var doc = iframeDocument(original);
+        if (!doc || clone.tagName !== "DIV") return;
+        var background = util
+          .computedStyle(doc.documentElement)
+          .getPropertyValue("background-color");
+        clone.style.setProperty("background-color", background);
+      }
+      // 记录节点自身文字用到的字体
+      function recordFontUsage() {
+        var text = util
+          .asArray(original.childNodes)
+          .filter(function (child) {
+            return child.nodeType === Node.TEXT_NODE;
+          })
+          .map(function (child) {
+            return child.data;
+          });
+        if (
+          util.isInstanceOf(original, "HTMLInputElement") ||
+          util.isInstanceOf(original, "HTMLTextAreaElement")
+        )
+          text.push(original.value, original.placeholder);
+
+        context.state.fonts.add(computedStyle, text.join(""));
+      }
+      // 提出伪类样式，放到css
+      // 所有节点的伪元素样式汇总到 context.state.pseudoStyles，最后只生成一个 <style>，
+      // 不往节点里插入子节点，<input>、<img> 这类不能有子节点的元素也能使用
+      function clonePseudoElements() {
+        var className;
+
+        ["::before", "::after"].forEach(function (pseudo) {
+          var style = util.computedStyle(original, pseudo);
+          var content = style.getPropertyValue("content");
+
+          if (content === "" || content === "none") return;
+          context.state.fonts.add(style, contentText(content));
+          addRule(pseudo, formatPseudoElementStyle(style));
+        });
+
+        if (computedStyle.getPropertyValue("display") === "list-item")
+          cloneMarker();
+        if (hasPlaceholder()) clonePseudoDiff("::placeholder");
+        if (hasOwnText()) {
+          clonePseudoDiff("::first-letter");
+          clonePseudoDiff("::first-line");
+        }
+        if (isScrollContainer())
+          [
+            "::-webkit-scrollbar",
+            "::-webkit-scrollbar-track",
+            "::-webkit-scrollbar-thumb",
+            "::-webkit-scrollbar-corner",
+          ].forEach(clonePseudoDiff);
+
+        function addRule(pseudo, cssText) {
+          if (!className) {
+            className = util.uid();
+            clone.classList.add(className);
+          }
+          context.state.pseudoStyles.push(
+            "." + className + pseudo + "{" + cssText + "}"
+          );
+        }
+
+        // ::marker 只支持少数几个属性
+        function cloneMarker() {
+          var style = util.computedStyle(original, "::marker");
+          var content = style.getPropertyValue("content");
+          if (!content || content === "none") return;
+          context.state.fonts.add(style, contentText(content));
+
+          var properties = [
+            "content",
+            "color",
+            "font-family",
+            "font-size",
+            "font-style",
+            "font-weight",
+            "font-variant",
+            "white-space",
+            "direction",
+            "unicode-bidi",
+          ];
+          addRule(
+            "::marker",
+            formatProperties(
+              style,
+              properties.filter(function (name) {
+                return style.getPropertyValue(name);
+              })
+            )
+          );
+        }
+
+        // 其他伪元素只输出和元素本身不同的样式
+        function clonePseudoDiff(pseudo) {
+          var style = util.computedStyle(original, pseudo);
+          var properties = util.asArray(style).filter(function (name) {
+            return (
+              style.getPropertyValue(name) !==
+              computedStyle.getPropertyValue(name)
+            );
+          });
+          if (properties.length)
+            addRule(pseudo, formatProperties(style, properties));
+        }
+
+        function hasPlaceholder() {
+          return (
+            (util.isInstanceOf(original, "HTMLInputElement") ||
+              util.isInstanceOf(original, "HTMLTextAreaElement")) &&
+            !!original.placeholder &&
+            !original.value
+          );
+        }
+
+        function hasOwnText() {
+          return util.asArray(original.childNodes).some(function (child) {
+            return child.nodeType === Node.TEXT_NODE && /\S/.test(child.data);
+          });
+        }
+
+        function isScrollContainer() {
+          return /(auto|scroll)/.test(
+            computedStyle.getPropertyValue("overflow-x") +
+              computedStyle.getPropertyValue("overflow-y")
+          );
+        }
+
+        // content 中会显示出来的文字：字符串和计数器
+        function contentText(content) {
+          var text = (
+            content.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g) || []
+          )
+            .map(function (string) {
+              return string.slice(1, -1);
+            })
+            .join("");
+          if (/counters?\(/.test(content)) text += "0123456789.-";
+          content.replace(/attr\(\s*([^\s)]+)\s*\)/g, function (match, name) {
+            text += original.getAttribute(name) || "";
+          });
+          return text;
+        }
+
+        function formatPseudoElementStyle(style) {
+          return style.cssText
+            ? formatCssText(style)
+            : formatProperties(style, util.asArray(style));
+
+          function formatCssText(style) {
+            var content = style.getPropertyValue("content");
+            return style.cssText + " content: " + content + ";";
+          }
+        }
+
+        function formatProperties(style, properties) {
+          return properties.map(formatProperty).join("; ") + ";";
+
+          function formatProperty(name) {
+            return (
+              name +
+              ": " +
+              style.getPropertyValue(name) +
+              (style.getPropertyPriority(name) ? " !important" : "")
+            );
+          }
+        }
+      }
+      // 处理输入框内容
+      // 表单控件的当前状态是属性（property），序列化时只保留 attribute，要写回 attribute 上
+      function copyUserInput() {
+        if (util.isInstanceOf(original, "HTMLTextAreaElement"))
+          clone.textContent = original.value;
+        if (util.isInstanceOf(original, "HTMLInputElement")) copyInputState();
+        if (util.isInstanceOf(original, "HTMLOptionElement"))
+          toggleAttribute("selected", original.selected);
+      }
+
+      function copyInputState() {
+        var type = original.type;
+        if (type !== "file") clone.setAttribute("value", original.value);
+        if (type !== "checkbox" && type !== "radio") return;
+
+        toggleAttribute("checked", original.checked);
+        if (type === "checkbox" && original.indeterminate) drawIndeterminate();
+      }
+
+      function toggleAttribute(name, on) {
+        if (on) clone.setAttribute(name, "");
+        else clone.removeAttribute(name);
+      }
+
+      /**
+       * indeterminate 没有对应的 attribute，去掉原生外观，用样式画出中间的横线
+       */
+      function drawIndeterminate() {
+        var color = computedStyle.getPropertyValue("accent-color");
+        if (!color || color === "auto") color = "#0075ff";
+        var style = clone.style;
+        style.setProperty("appearance", "none");
+        style.setProperty("-webkit-appearance", "none");
+        style.setProperty("box-sizing", "border-box");
+        style.setProperty("border", "none");
+        style.setProperty("border-radius", "2px");
+        style.setProperty(
+          "background",
+          "linear-gradient(#fff, #fff) center / 60% 2px no-repeat, " + color
+        );
+      }
+      /**
+       * 图片使用浏览器实际显示的那一张（srcset、<picture>），去掉其他候选
+       * 其他图片地址从原节点转成绝对地址：同源 iframe 中的相对地址要按 iframe 的文档解析，
+       * 克隆节点导入到当前文档之后就会解析错
+       */
+      function fixImageSource() {
+        if (util.isInstanceOf(original, "HTMLImageElement")) {
+          var src = original.currentSrc || original.src;
+          clone.removeAttribute("srcset");
+          clone.removeAttribute("sizes");
+          clone.removeAttribute("loading");
+          if (src) clone.src = src;
+        } else if (
+          util.isInstanceOf(original, "HTMLInputElement") &&
+          original.type === "image" &&
+          original.getAttribute("src")
+        ) {
+          clone.setAttribute("src", original.src);
+        } else if (
+          util.isInstanceOf(clone, "HTMLVideoElement") &&
+          original.getAttribute("poster")
+        ) {
+          clone.setAttribute("poster", original.poster);
+        } else if (
+          util.isInstanceOf(original, "SVGElement") &&
+          original.localName === "image"
+        ) {
+          fixSvgImageHref();
+        }
+      }
+      // svg <image> 的地址可能在 href 或 xlink:href 上，两者都替换
+      function fixSvgImageHref() {
+        var XLINK = "http://www.w3.org/1999/xlink";
+        var href =
+          original.getAttribute("href") ||
+          original.getAttributeNS(XLINK, "href");
+        if (!href || util.isDataUrl(href)) return;
+
+        href = util.absoluteUrl(href, original.baseURI);
+        if (clone.hasAttribute("href")) clone.setAttribute("href", href);
+        if (clone.hasAttributeNS(XLINK, "href"))
+          clone.setAttributeNS(XLINK, "xlink:href", href);
+      }
+      // 处理svg，创建命名空间
+      function fixSvg() {
+        if (!(clone instanceof SVGElement)) return;
+        clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+
+        if (!(clone instanceof SVGRectElement)) return;
+        ["width", "height"].forEach(function (attribute) {
+          var value = clone.getAttribute(attribute);
+          if (!value) return;
+
+          clone.style.setProperty(attribute, value);
+        });
+      }
+      /**
+       * 保留滚动位置（options.scroll 为 visible 或 full 时）
+       * 序列化后没有 scrollTop/scrollLeft，把子节点反向平移滚动的距离，
+       * 容器改为 overflow: hidden，原来滚动条占的位置用 padding 补上，内容不会重新排版
+       * scroll 为 full 时根节点展开显示全部内容，不需要平移
+       */
+      function keepScrollPosition() {
+        var mode = context.options.scroll;
+        if (mode !== "visible" && mode !== "full") return;
+        if (root && mode === "full") return expandRoot();
+
+        var offset = util.scrollOffset(original);
+        if (!offset.x && !offset.y) return;
+
+        var style = clone.style;
+        var scrollbar = util.scrollbarSize(original);
+        style.setProperty("overflow", "hidden");
+        addPx("padding-right", scrollbar.width);
+        addPx("padding-bottom", scrollbar.height);
+
+        util.asArray(clone.childNodes).forEach(function (child) {
+          if (child.nodeType === Node.TEXT_NODE) {
+            // 文字节点不能设置 transform，包一层相对定位的 span
+            var span = document.createElement("span");
+            span.style.setProperty("position", "relative");
+            span.style.setProperty("left", -offset.x + "px");
+            span.style.setProperty("top", -offset.y + "px");
+            clone.replaceChild(span, child);
+            span.appendChild(child);
+          } else if (child.style) {
+            var transform = child.style.getPropertyValue("transform");
+            child.style.setProperty(
+              "transform",
+              "translate(" +
+                -offset.x +
+                "px, " +
+                -offset.y +
+                "px)" +
+                (transform && transform !== "none" ? " " + transform : "")
+            );
+          }
+        });
+
+        function addPx(property, value) {
+          if (!value) return;
+          var current =
+            parseFloat(computedStyle.getPropertyValue(property)) || 0;
+          style.setProperty(property, current + value + "px");
+        }
+      }
+
+      function expandRoot() {
+        clone.style.setProperty("overflow", "visible");
+        clone.style.setProperty("box-sizing", "border-box");
+        clone.style.setProperty("width", util.width(original) + "px");
+        clone.style.setProperty("height", util.height(original) + "px");
+      }
+    }
+  }
+
+  /**
+   * 根节点是 <img>、<input>、<textarea> 这类不能有子节点的元素时，放不了伪元素样式和字体的 <style>，
+   * 用一个容器包起来；flex 容器中的根节点从左上角开始，不受行高影响，也不会被拉伸
+   */
+  function voidRootContainer(clone) {
+    var container = document.createElement("div");
+    container.style.cssText =
+      "display: flex; align-items: flex-start; margin: 0; padding: 0; border: 0;";
+    container.appendChild(clone);
+    return container;
+  }
+
+  /**
+   * 伪元素样式汇总成一个 <style>，放在根节点中
+   */
+  function appendPseudoStyles(node, context) {
+    var cssText = context.state.pseudoStyles.join("\n");
+    if (!cssText) return node;
+
+    var styleNode = document.createElement("style");
+    styleNode.appendChild(document.createTextNode(cssText));
+    node.appendChild(styleNode);
+    return node;
+  }
+
+  /**
+   * 嵌入字体
+   * 提取font-face
+   * 用内部样式加载
+   */
+  function embedFonts(node, context) {
+    return fontFaces.resolveAll(context).then(function (cssText) {
+      var styleNode = document.createElement("style");
+      node.appendChild(styleNode);
+      styleNode.appendChild(document.createTextNode(cssText));
+      return node;
+    });
+  }
+
+  /**
+   * 嵌入图片
+   */
+  function inlineImages(node, context) {
+    return images.inlineAll(node, context).then(function () {
+      return node;
+    });
+  }
+
+  /**
+   * 创建SVG
+   * 生成的是 svg 字符串，没有经过转义，转成 data URL 用 svgDataUri
+   */
+  function makeSvgString(node, width, height) {
+    return (
+      Promise.resolve(node)
+        .then(function (node) {
+          // 将dom转换为字符串
+          node.setAttribute("xmlns", "http://www.w3.org/1999/xhtml");
+          return new XMLSerializer().serializeToString(node);
+        })
+        // foreignObject 使用固定的尺寸，svgViewBox 只显示其中一部分时内容不会跟着缩放
+        .then(function (xhtml) {
+          return (
+            '<foreignObject x="0" y="0" width="' +
+            width +
+            '" height="' +
+            height +
+            '">' +
+            xhtml +
+            "</foreignObject>"
+          );
+        })
+        /**
+         * 顺带提一提
+         * 不指定xmlns命名空间是不会渲染的
+         * xmlns="http://www.w3.org/2000/svg"
+         */
+
+        .then(function (foreignObject) {
+          return (
+            '<svg xmlns="http://www.w3.org/2000/svg" width="' +
+            width +
+            '" height="' +
+            height +
+            '">' +
+            foreignObject +
+            "</svg>"
+          );
+        })
+    );
+  }
+
+  function svgDataUri(svg) {
+    return "data:image/svg+xml;charset=utf-8," + util.escapeXhtml(svg);
+  }
+
+  /**
+   * 只显示 svg 中 viewBox（[x, y, width, height]）的区域，svg 的尺寸也改为这个区域的大小
+   */
+  function svgViewBox(svg, viewBox) {
+    return svg.replace(
+      /^<svg[^>]*>/,
+      '<svg xmlns="http://www.w3.org/2000/svg" width="' +
+        viewBox[2] +
+        '" height="' +
+        viewBox[3] +
+        '" viewBox="' +
+        viewBox.join(" ") +
+        '" preserveAspectRatio="none">'
+    );
+  }
+
+  /**
+   * 这里定义了一堆公共使用的方法
+   */
+  function newUtil() {
+    return {
+      escape: escape,
+      parseExtension: parseExtension,
+      mimeType: mimeType,
+      dataAsUrl: dataAsUrl,
+      isDataUrl: isDataUrl,
+      canvasToBlob: canvasToBlob,
+      resolveUrl: resolveUrl,
+      getAndEncode: getAndEncode,
+      fetchAndEncode: fetchAndEncode,
+      loadResource: loadResource,
+      fallbackContent: fallbackContent,
+      decodeText: decodeText,
+      bytesToBase64: bytesToBase64,
+      base64ToBytes: base64ToBytes,
+      blobToBytes: blobToBytes,
+      absoluteUrl: absoluteUrl,
+      uid: uid(),
+      delay: delay,
+      idle: idle,
+      fontsReady: fontsReady,
+      decodeImage: decodeImage,
+      nextFrame: nextFrame,
+      fingerprint: fingerprint,
+      isSafari: isSafari,
+      crc32: crc32,
+      canvasLimits: canvasLimits,
+      limit: limit,
+      pixelRatio: pixelRatio,
+      asArray: asArray,
+      escapeXhtml: escapeXhtml,
+      makeImage: makeImage,
+      width: width,
+      height: height,
+      isInstanceOf: isInstanceOf,
+      isVoidElement: isVoidElement,
+      computedStyle: computedStyle,
+      isViewportScroller: isViewportScroller,
+      scrollOffset: scrollOffset,
+      scrollbarSize: scrollbarSize,
+    };
+
+    function mimes() {
+      /*
+       * Only WOFF and EOT mime types for fonts are 'real'
+       * see http://www.iana.org/assignments/media-types/media-types.xhtml
+       */
+      var WOFF = "application/font-woff";
+      var JPEG = "image/jpeg";
+
+      return {
+        woff: WOFF,
+        woff2: WOFF,
+        ttf: "application/font-truetype",
+        otf: "application/font-opentype",
+        eot: "application/vnd.ms-fontobject",
+        png: "image/png",
+        jpg: JPEG,
+        jpeg: JPEG,
+        gif: "image/gif",
+        tiff: "image/tiff",
+        svg: "image/svg+xml",
+      };
+    }
+
+    function parseExtension(url) {
+      var match = /\.([^\.\/]*?)$/g.exec(url);
+      if (match) return match[1];
+      else return "";
+    }
+
+    function mimeType(url) {
+      var extension = parseExtension(url).toLowerCase();
+      return mimes()[extension] || "";
+    }
+
+    /**
+     * Data URL 判断
+     */
+    function isDataUrl(url) {
+      return url.search(/^(data:)/) !== -1;
+    }
+
+    /**
+     * 将canvas转换为Blob
+     * 这里的实现方式是：将canvas转换为dataUrl提取其中的数据
+     * Blob 的类型取 data URL 中实际的类型，浏览器不支持编码的类型会输出 PNG
+     * 顺便提提
+     * atob() 方法用于解码使用 base-64 编码的字符串。
+     */
+    function toBlob(canvas, type, quality) {
+      return new Promise(function (resolve) {
+        var dataUrl = canvas.toDataURL(type, quality);
+        var binaryArray = base64ToBytes(dataUrl.split(",")[1]);
+
+        resolve(
+          new Blob([binaryArray], {
+            type: dataUrl.slice(5, dataUrl.search(/[;,]/)) || "image/png",
+          })
+        );
+      });
+    }
+
+    function canvasToBlob(canvas, type, quality) {
+      if (canvas.toBlob)
+        return new Promise(function (resolve) {
+          canvas.toBlob(resolve, type, quality);
+        });
+
+      return toBlob(canvas, type, quality);
+    }
+
+    /**
+     * 顺便提提：
+     * base标签，作用就是当a标签没有设置href值时候，就是使用base标签的href值。
+     * 一份document里面只能有一个base标签
+     */
+    function resolveUrl(url, baseUrl) {
+      var doc = document.implementation.createHTMLDocument();
+      var base = doc.createElement("base");
+      doc.head.appendChild(base);
+      var a = doc.createElement("a");
+      doc.body.appendChild(a);
+      base.href = baseUrl;
+      a.href = url;
+      return a.href;
+    }
+    /**
+     * 创建随机uid
+     */
+    function uid() {
+      var index = 0;
+
+      return function () {
+        return "u" + fourRandomChars() + index++;
+
+        function fourRandomChars() {
+          /* see http://stackoverflow.com/a/6248722/2519373 */
+          return (
+            "0000" + ((Math.random() * Math.pow(36, 4)) << 0).toString(36)
+          ).slice(-4);
+        }
+      };
+    }
+
+    // 创建image对象
+    function makeImage(uri) {
+      return new Promise(function (resolve, reject) {
+        var image = new Image();
+        image.crossOrigin = "Anonymous";
+        image.onload = function () {
+          resolve(image);
+        };
+        image.onerror = reject;
+        image.src = uri;
+      });
+    }
+    /**
+     * 将相对地址转换为绝对地址，作为资源缓存的 key
+     */
+    function absoluteUrl(url, base) {
+      if (isDataUrl(url)) return url;
+      try {
+        return new URL(url, base || document.baseURI).href;
+      } catch (e) {
+        return url;
+      }
+    }
+
+    /**
+     * 请求资源，并且将资源转成dataUrl形式
+     * options 为本次渲染的选项（imagePlaceholder、cacheBust）
+     * 失败时使用占位图，没有占位图则返回空字符串
+     */
+    function getAndEncode(url, options) {
+      return fetchAndEncode(url, options).catch(function (error) {
+        return fallbackContent(error, options);
+      });
+    }
+
+    /**
+     * 请求资源并转成 base64，失败时 reject
+     * 先经过 options.rewriteUrl 改写地址，再由 options.loader（默认是 XMLHttpRequest）请求
+     */
+    function fetchAndEncode(url, options) {
+      options = options || {};
+      if (options.rewriteUrl) url = options.rewriteUrl(url) || url;
+      if (options.cacheBust) {
+        // Cache bypass so we dont have CORS issues with cached images
+        // Source: https://developer.mozilla.org/en/docs/Web/API/XMLHttpRequest/Using_XMLHttpRequest#Bypassing_the_cache
+        url += (/\?/.test(url) ? "&" : "?") + new Date().getTime();
+      }
+
+      var load = options.loader || loadResource;
+      return Promise.resolve()
+        .then(function () {
+          return load(url, options);
+        })
+        .then(function (resource) {
+          if (resource === undefined || resource === null)
+            throw new Error("cannot fetch resource: " + url);
+          return encodeResource(resource);
+        });
+    }
+
+    /**
+     * 默认的资源加载方式，返回 Blob
+     * options.fetchOptions 的 headers 和 credentials、options.timeout 会被应用到请求上
+     */
+    function loadResource(url, options) {
+      var TIMEOUT = options.timeout || 30000;
+      var fetchOptions = options.fetchOptions || {};
+
+      return new Promise(function (resolve, reject) {
+        var request = new XMLHttpRequest();
+
+        request.onreadystatechange = done;
+        request.ontimeout = timeout;
+        request.responseType = "blob";
+        request.timeout = TIMEOUT;
+        request.open("GET", url, true);
+        request.withCredentials = fetchOptions.credentials === "include";
+        forEachHeader(fetchOptions.headers, function (value, name) {
+          request.setRequestHeader(name, value);
+        });
+        request.send();
+
+        function done() {
+          if (request.readyState !== 4) return;
+
+          if (request.status !== 200) {
+            reject(
+              new Error(
+                "cannot fetch resource: " + url + ", status: " + request.status
+              )
+            );
+            return;
+          }
+
+          resolve(request.response);
+        }
+
+        function timeout() {
+          reject(
+            new Error(
+              "timeout of " +
+                TIMEOUT +
+                "ms occured while fetching resource: " +
+                url
+            )
+          );
+        }
+      });
+
+      // headers 可以是普通对象，也可以是 Headers
+      function forEachHeader(headers, callback) {
+        if (!headers) return;
+        if (typeof headers.forEach === "function") headers.forEach(callback);
+        else
+          Object.keys(headers).forEach(function (name) {
+            callback(headers[name], name);
+          });
+      }
+    }
+
+    /**
+     * 将加载到的资源转成 base64
+     * 支持 Blob、ArrayBuffer（或 TypedArray）和 dataUrl
+     */
+    function encodeResource(resource) {
+      if (typeof resource === "string") return dataUrlContent(resource);
+      if (typeof Blob !== "undefined" && resource instanceof Blob)
+        return new Promise(function (resolve, reject) {
+          var encoder = new FileReader();
+          encoder.onloadend = function () {
+            if (encoder.error) reject(encoder.error);
+            else resolve(encoder.result.split(/,/)[1]);
+          };
+          encoder.readAsDataURL(resource);
+        });
+      if (ArrayBuffer.isView(resource))
+        return bytesToBase64(
+          new Uint8Array(
+            resource.buffer,
+            resource.byteOffset,
+            resource.byteLength
+          )
+        );
+      // 用 toString 判断，iframe 中创建的 ArrayBuffer 也能识别
+      if (Object.prototype.toString.call(resource) === "[object ArrayBuffer]")
+        return bytesToBase64(new Uint8Array(resource));
+      // 其他值（比如 fetch 的 Response）转出来是空的，不能当作成功
+      throw new Error(
+        "loader must resolve with a Blob, an ArrayBuffer or a data URL, got " +
+          Object.prototype.toString.call(resource)
+      );
+    }
+
+    /**
+     * 取出 dataUrl 中的 base64 内容，非 base64 的 dataUrl 按 UTF-8 编码
+     */
+    function dataUrlContent(dataUrl) {
+      var index = dataUrl.indexOf(",");
+      if (!isDataUrl(dataUrl) || index === -1)
+        throw new Error(
+          "loader must resolve with a Blob, an ArrayBuffer or a data URL"
+        );
+
+      var header = dataUrl.slice(0, index);
+      var content = dataUrl.slice(index + 1);
+      if (/;base64$/i.test(header)) return content;
+      var utf8 = unescape(encodeURIComponent(decodeURIComponent(content)));
+      return window.btoa(utf8);
+    }
+
+    /**
+     * 资源请求失败时的替代内容：占位图的 base64，没有占位图则是空字符串
+     * 传入了 onResourceError 或 onReport 时由调用方处理错误，不再输出到控制台
+     */
+    function fallbackContent(error, options) {
+      options = options || {};
+      var placeholder = options.imagePlaceholder;
+      if (placeholder) {
+        var split = placeholder.split(/,/);
+        if (split && split[1]) return split[1];
+      }
+      if (!options.onResourceError && !options.onReport)
+        console.error(error.message);
+      return "";
+    }
+    /**
+     * 将 Uint8Array 编码为 base64
+     */
+    function bytesToBase64(bytes) {
+      var CHUNK = 0x8000;
+      var binaryString = "";
+      for (var i = 0; i < bytes.length; i += CHUNK)
+        binaryString += String.fromCharCode.apply(
+          null,
+          bytes.subarray(i, i + CHUNK)
+        );
+      return window.btoa(binaryString);
+    }
+    /**
+     * 读取 Blob 的内容
+     */
+    function blobToBytes(blob) {
+      if (blob.arrayBuffer)
+        return blob.arrayBuffer().then(function (buffer) {
+          return new Uint8Array(buffer);
+        });
+      return new Promise(function (resolve, reject) {
+        var reader = new FileReader();
+        reader.onloadend = function () {
+          if (reader.error) reject(reader.error);
+          else resolve(new Uint8Array(reader.result));
+        };
+        reader.readAsArrayBuffer(blob);
+      });
+    }
+
+    function base64ToBytes(content) {
+      var binaryString = window.atob(content);
+      var length = binaryString.length;
+      var bytes = new Uint8Array(length);
+
+      for (var i = 0; i < length; i++) bytes[i] = binaryString.charCodeAt(i);
+      return bytes;
+    }
+    /**
+     * 将 base64 内容按 UTF-8 解码为文本
+     */
+    function decodeText(content) {
+      var binaryString = window.atob(content);
+      if (typeof TextDecoder === "undefined") return binaryString;
+
+      var binaryArray = new Uint8Array(binaryString.length);
+      for (var i = 0; i < binaryString.length; i++)
+        binaryArray[i] = binaryString.charCodeAt(i);
+      return new TextDecoder("utf-8").decode(binaryArray);
+    }
+    /**
+     * 组装并且返回dataUrl
+     */
+    function dataAsUrl(content, type) {
+      return "data:" + type + ";base64," + content;
+    }
+
+    function escape(string) {
+      return string.replace(/([.*+?^${}()|\[\]\/\\])/g, "\\$1");
+    }
+    /**
+     * 延时
+     */
+    function delay(ms) {
+      return function (arg) {
+        return new Promise(function (resolve) {
+          setTimeout(function () {
+            resolve(arg);
+          }, ms);
+        });
+      };
+    }
+
+    /**
+     * 等待文档中的字体加载完成，不支持 document.fonts 时直接继续
+     */
+    function fontsReady() {
+      if (!document.fonts || !document.fonts.ready) return Promise.resolve();
+      return document.fonts.ready.then(function () {});
+    }
+
+    /**
+     * 等待图片解码完成，decode 失败时（部分浏览器不支持解码 svg）使用已加载的图片
+     */
+    function decodeImage(image) {
+      if (!image.decode) return Promise.resolve(image);
+      return image.decode().then(
+        function () {
+          return image;
+        },
+        function () {
+          return image;
+        }
+      );
+    }
+
+    function nextFrame() {
+      return new Promise(function (resolve) {
+        if (window.requestAnimationFrame) window.requestAnimationFrame(resolve);
+        else setTimeout(resolve, 16);
+      });
+    }
+
+    /**
+     * 把图片画到一个很小的 canvas 上，返回像素的摘要，用于判断两次绘制的结果是否相同
+     * 读取不了像素时返回 null
+     */
+    function fingerprint(image) {
+      var canvas = document.createElement("canvas");
+      canvas.width = 32;
+      canvas.height = 32;
+      var ctx = canvas.getContext("2d");
+      try {
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        var data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+      } catch (e) {
+        return null;
+      }
+      var hash = 0;
+      for (var i = 0; i < data.length; i++) hash = (hash * 31 + data[i]) | 0;
+      return hash;
+    }
+
+    function isSafari() {
+      var userAgent = navigator.userAgent;
+      return (
+        /safari/i.test(userAgent) && !/chrome|chromium|android/i.test(userAgent)
+      );
+    }
+
+    // crc32 的查找表，第一次使用时生成
+    var crcTable;
+    // 检测到的 canvas 最大边长
+    var detectedMaxSize;
+
+    /**
+     * CRC32，previous 为之前数据的 CRC，用于分段计算
+     */
+    function crc32(bytes, previous) {
+      if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (var n = 0; n < 256; n++) {
+          var c = n;
+          for (var k = 0; k < 8; k++)
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+          crcTable[n] = c;
+        }
+      }
+      var crc = (previous || 0) ^ 0xffffffff;
+      for (var i = 0; i < bytes.length; i++)
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+      return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * 浏览器允许的 canvas 最大尺寸：maxSize 为宽或高的最大像素，maxArea 为最大面积
+     * 最大边长通过创建 1 像素高的 canvas 检测；面积检测需要分配很大的内存，按浏览器取已知的值
+     */
+    function canvasLimits(options) {
+      if (!detectedMaxSize)
+        detectedMaxSize =
+          [65535, 32767, 16384, 8192, 4096].filter(function (size) {
+            return canvasWorks(size, 1);
+          })[0] || 4096;
+
+      return {
+        maxSize: options.maxCanvasSize || detectedMaxSize,
+        maxArea: options.maxCanvasArea || (isSafari() ? 16777216 : 268435456),
+      };
+
+      function canvasWorks(width, height) {
+        var canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        try {
+          var ctx = canvas.getContext("2d");
+          if (!ctx) return false;
+          ctx.fillStyle = "#000";
+          ctx.fillRect(width - 1, height - 1, 1, 1);
+          return ctx.getImageData(width - 1, height - 1, 1, 1).data[3] !== 0;
+        } catch (e) {
+          return false;
+        } finally {
+          canvas.width = 0;
+          canvas.height = 0;
+        }
+      }
+    }
+
+    /**
+     * 在浏览器空闲时执行，不支持 requestIdleCallback 时用 setTimeout 代替，
+     * 回调收到的 deadline 和 requestIdleCallback 的一样
+     */
+    function idle(callback) {
+      if (window.requestIdleCallback)
+        return window.requestIdleCallback(callback);
+      return setTimeout(function () {
+        var end = Date.now() + 16;
+        callback({
+          didTimeout: false,
+          timeRemaining: function () {
+            return Math.max(0, end - Date.now());
+          },
+        });
+      });
+    }
+    /**
+     * 输出图片的像素比，默认为屏幕的 devicePixelRatio
+     */
+    function pixelRatio(options) {
+      return (
+        options.pixelRatio ||
+        options.scale ||
+        (typeof window !== "undefined" && window.devicePixelRatio) ||
+        1
+      );
+    }
+    /**
+     * 限制并发数
+     * 返回的函数接收一个返回 Promise 的任务，同时最多执行 concurrency 个，其余排队
+     */
+    function limit(concurrency) {
+      var max = concurrency > 0 ? concurrency : Infinity;
+      var running = 0;
+      var waiting = [];
+
+      return function (task) {
+        return new Promise(function (resolve, reject) {
+          waiting.push(function () {
+            running++;
+            Promise.resolve()
+              .then(task)
+              .then(resolve, reject)
+              .then(function () {
+                running--;
+                next();
+              });
+          });
+          next();
+        });
+      };
+
+      function next() {
+        if (running < max && waiting.length) waiting.shift()();
+      }
+    }
+    /**
+     * 类数组转为数组
+     */
+    function asArray(arrayLike) {
+      var array = [];
+      var length = arrayLike.length;
+      for (var i = 0; i < length; i++) array.push(arrayLike[i]);
+      return array;
+    }
+
+    function escapeXhtml(string) {
+      return string.replace(/#/g, "%23").replace(/\n/g, "%0A");
+    }
+    /**
+     * instanceof 判断，同时支持 iframe 中的节点（它们的构造函数属于 iframe 的 window）
+     */
+    function isInstanceOf(node, name) {
+      if (!node) return false;
+      var doc = node.ownerDocument;
+      var view = doc && doc.defaultView;
+      if (view && view !== window && view[name] && node instanceof view[name])
+        return true;
+      return typeof window[name] === "function" && node instanceof window[name];
+    }
+    /**
+     * 不能有子节点的元素
+     */
+    function isVoidElement(node) {
+      return /^(area|base|br|col|embed|hr|img|input|link|meta|source|track|wbr|textarea)$/i.test(
+        node.localName
+      );
+    }
+    /**
+     * 节点所在窗口的 getComputedStyle，iframe 中的节点要用 iframe 的 window
+     */
+    function computedStyle(node, pseudoElement) {
+      var view =
+        (node.ownerDocument && node.ownerDocument.defaultView) || window;
+      return view.getComputedStyle(node, pseudoElement);
+    }
+    /**
+     * body 和 html 的滚动是整个页面（视口）的滚动
+     */
+    function isViewportScroller(node) {
+      var doc = node.ownerDocument;
+      return !!doc && (node === doc.body || node === doc.documentElement);
+    }
+    /**
+     * 元素当前的滚动距离
+     */
+    function scrollOffset(node) {
+      var scroller = node;
+      if (isViewportScroller(node))
+        scroller = node.ownerDocument.scrollingElement || node;
+      return { x: scroller.scrollLeft || 0, y: scroller.scrollTop || 0 };
+    }
+    /**
+     * 元素滚动条占的宽度和高度
+     */
+    function scrollbarSize(node) {
+      var borderX =
+        px(node, "border-left-width") + px(node, "border-right-width");
+      var borderY =
+        px(node, "border-top-width") + px(node, "border-bottom-width");
+      return {
+        width: Math.max(0, node.offsetWidth - node.clientWidth - borderX) || 0,
+        height:
+          Math.max(0, node.offsetHeight - node.clientHeight - borderY) || 0,
+      };
+    }
+    /**
+     * 获取元素总宽度 含border
+     */
+    function width(node) {
+      var leftBorder = px(node, "border-left-width");
+      var rightBorder = px(node, "border-right-width");
+      return node.scrollWidth + leftBorder + rightBorder;
+    }
+    /**
+     * 获取元素总高度 含border
+     */
+    function height(node) {
+      var topBorder = px(node, "border-top-width");
+      var bottomBorder = px(node, "border-bottom-width");
+      return node.scrollHeight + topBorder + bottomBorder;
+    }
+    /**
+     * 获取对象的指定的css属性的值，返回 number
+     * 顺便提提：
+     * window.getComputedStyle 最终能在元素上使用的所有css属性对象
+     * window.getPropertyValue 可以获取CSS样式申明对象上的属性值
+     * 为什么不直接用element.style 去获取？因为element.style只能获取元素style属性中的CSS样式，对于一个没有设置css属性的element来说，获取不到值的。
+     */
+    function px(node, styleProperty) {
+      var value = computedStyle(node).getPropertyValue(styleProperty);
+      return parseFloat(value.replace("px", ""));
+    }
+  }
+
+  /**
+   * 资源缓存，key 是资源的绝对地址，value 是 base64 内容的 Promise
+   * 同一个地址正在请求时不会重复请求，请求失败的地址不会留在缓存里
+   */
+  function newResourceCache() {
+    var entries = {};
+
+    return {
+      get: get,
+      preload: preload,
+      has: has,
+      keys: keys,
+      size: size,
+      delete: remove,
+      clear: clear,
+    };
+
+    /**
+     * 读取缓存，没有时调用 load(url) 请求并放入缓存
+     */
+    function get(url, load) {
+      url = util.absoluteUrl(url);
+      if (!has(url)) {
+        var entry = Promise.resolve(url)
+          .then(load || util.fetchAndEncode)
+          .catch(function (error) {
+            // clear() 或 delete() 之后可能已经有了新的请求，不能把它删掉
+            if (entries[url] === entry) delete entries[url];
+            throw error;
+          });
+        entries[url] = entry;
+      }
+      return entries[url];
+    }
+
+    /**
+     * 预热缓存，options 与 toSvg 的请求相关选项一致
+     * @return {Promise} - 所有资源请求完成后 fulfilled，值为请求失败的地址
+     */
+    function preload(urls, options) {
+      var failed = [];
+      return Promise.all(
+        urls.map(function (url) {
+          return get(url, function (url) {
+            return util.fetchAndEncode(url, options);
+          }).catch(function () {
+            failed.push(util.absoluteUrl(url));
+          });
+        })
+      ).then(function () {
+        return failed;
+      });
+    }
+
+    function has(url) {
+      return Object.prototype.hasOwnProperty.call(
+        entries,
+        util.absoluteUrl(url)
+      );
+    }
+
+    function keys() {
+      return Object.keys(entries);
+    }
+
+    function size() {
+      return keys().length;
+    }
+
+    function remove(url) {
+      delete entries[util.absoluteUrl(url)];
+    }
+
+    function clear() {
+      entries = {};
+    }
+  }
+
+  /**
+   * 精简样式：只写出和默认样式、继承来的样式不同的属性
+   */
+  function newStyles() {
+    // 会继承的属性，值和父元素相同时不需要写出
+    var INHERITED_REGEX = new RegExp(
+      "^(-webkit-)?(" +
+        [
+          "color",
+          "cursor",
+          "direction",
+          "font(-.*)?",
+          "letter-spacing",
+          "line-height",
+          "list-style-(image|position|type)",
+          "quotes",
+          "tab-size",
+          "text-(align.*|indent|justify|shadow|transform|rendering|underline-.*|emphasis.*|orientation|combine-upright|size-adjust|wrap.*|decoration-skip-ink|fill-color|stroke.*|security|spacing-trim|autospace)",
+          "visibility",
+          "white-space.*",
+          "word-(break|spacing|wrap)",
+          "overflow-wrap",
+          "hyphens",
+          "hyphenate-.*",
+          "line-break",
+          "orphans",
+          "widows",
+          "caption-side",
+          "border-collapse",
+          "border-spacing",
+          "border-(horizontal|vertical)-spacing",
+          "empty-cells",
+          "writing-mode",
+          "pointer-events",
+          "caret-color",
+          "accent-color",
+          "color-scheme",
+          "paint-order",
+          "fill(-.*)?",
+          "stroke(-.*)?",
+          "marker(-.*)?",
+          "clip-rule",
+          "image-rendering",
+          "shape-rendering",
+          "color-interpolation(-.*)?",
+          "color-rendering",
+          "text-anchor",
+          "dominant-baseline",
+          "ruby-position",
+          "forced-color-adjust",
+          "print-color-adjust",
+          "math-.*",
+          "locale",
+          "rtl-ordering",
+          "user-modify",
+          "tap-highlight-color",
+        ].join("|") +
+        ")$"
+    );
+    // 盒子的尺寸和位置总是写出：沙盒中空元素算出来的尺寸不是初始值，
+    // 和它相同（比如 height: 0px）并不代表可以省略
+    var BOX_SIZE_REGEX =
+      /^((min-|max-)?(width|height|inline-size|block-size)|top|right|bottom|left|inset(-.*)?)$/;
+    var SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+    // 标签的默认样式，所有渲染共用
+    var defaults = {};
+
+    return {
+      copyCompact: copyCompact,
+      hoistClasses: hoistClasses,
+      release: release,
+      impl: {
+        defaultStyle: defaultStyle,
+        isInherited: isInherited,
+      },
+    };
+
+    function isInherited(name) {
+      return INHERITED_REGEX.test(name);
+    }
+
+    /**
+     * 只复制需要的样式
+     * 不继承的属性：和这个标签的默认样式不同才写出，尺寸和位置总是写出
+     * 继承的属性：和父元素的值不同才写出；根节点没有父元素，和默认样式比较
+     * options.root 为 true 时按根节点处理（iframe 的 body 也是）
+     */
+    function copyCompact(original, source, target, context, options) {
+      var parent = options.root ? null : inheritanceParent(original);
+      var parentStyle = parent ? util.computedStyle(parent) : null;
+      var defaultValues = defaultStyle(original, context);
+
+      util.asArray(source).forEach(function (name) {
+        var value = source.getPropertyValue(name);
+        var priority = source.getPropertyPriority(name);
+        var inherited = isInherited(name);
+
+        if (inherited && parentStyle) {
+          if (value === parentStyle.getPropertyValue(name) && !priority) return;
+        } else if (
+          value === defaultValues[name] &&
+          !priority &&
+          !BOX_SIZE_REGEX.test(name)
+        ) {
+          return;
+        }
+        target.setProperty(name, value, priority);
+      });
+    }
+
+    /**
+     * 组合树中的父元素：分配到 slot 的节点继承 slot，shadow root 的子节点继承宿主元素
+     */
+    function inheritanceParent(node) {
+      if (node.assignedSlot) return node.assignedSlot;
+      var parent = node.parentNode;
+      if (parent && parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE)
+        return parent.host || null;
+      return parent && parent.nodeType === Node.ELEMENT_NODE ? parent : null;
+    }
+
+    /**
+     * 标签的默认样式：在隐藏的 iframe 中创建同样的标签，读取它的 computed style
+     */
+    function defaultStyle(node, context) {
+      var namespace = node.namespaceURI || "";
+      var key = namespace + " " + node.localName;
+      if (defaults[key]) return defaults[key];
+
+      var doc = sandbox(context);
+      var element = doc.createElementNS(namespace, node.localName);
+      var parent = doc.body;
+      if (namespace === SVG_NAMESPACE && node.localName !== "svg") {
+        parent = doc.createElementNS(SVG_NAMESPACE, "svg");
+        doc.body.appendChild(parent);
+      }
+      parent.appendChild(element);
+
+      var style = doc.defaultView.getComputedStyle(element);
+      var values = {};
+      util.asArray(style).forEach(function (name) {
+        values[name] = style.getPropertyValue(name);
+      });
+      doc.body.innerHTML = "";
+
+      defaults[key] = values;
+      return values;
+    }
+
+    /**
+     * 读取默认样式用的 iframe，每次渲染结束时移除
+     */
+    function sandbox(context) {
+      if (context.state.sandbox) return context.state.sandbox.contentDocument;
+
+      var iframe = document.createElement("iframe");
+      iframe.setAttribute("aria-hidden", "true");
+      iframe.tabIndex = -1;
+      iframe.style.cssText =
+        "position: fixed; left: -10000px; top: 0; width: 100px; height: 100px; visibility: hidden; border: 0;";
+      document.body.appendChild(iframe);
+      context.state.sandbox = iframe;
+
+      var doc = iframe.contentDocument;
+      doc.open();
+      doc.write("<!DOCTYPE html><html><head></head><body></body></html>");
+      doc.close();
+      return doc;
     }
 
-    function mimeType(url) {
-      var extension = parseExtension(url).toLowerCase();
-      return mimes()[extension] || "";
+    function release(context) {
+      var iframe = context.state.sandbox;
+      if (iframe && iframe.parentNode) iframe.parentNode.removeChild(iframe);
+      context.state.sandbox = null;
     }
 
     /**
-     * Data URL 判断
+     * 相同的内联样式提取成共用的 class，放到根节点中的一个 <style> 里
+     * 只出现一次的样式保留为内联样式
      */
-    function isDataUrl(url) {
-      return url.search(/^(data:)/) !== -1;
+    function hoistClasses(root) {
+      // 没有地方放 <style>
+      if (util.isVoidElement(root)) return root;
+
+      var elements = [root].concat(
+        util.asArray(root.querySelectorAll("[style]"))
+      );
+      var counts = {};
+      elements.forEach(function (element) {
+        var cssText = element.getAttribute("style");
+        if (cssText) counts[cssText] = (counts[cssText] || 0) + 1;
+      });
+
+      var classNames = {};
+      var rules = [];
+      elements.forEach(function (element) {
+        var cssText = element.getAttribute("style");
+        if (!cssText || counts[cssText] < 2) return;
+
+        if (!classNames[cssText]) {
+          classNames[cssText] = util.uid();
+          rules.push("." + classNames[cssText] + "{" + cssText + "}");
+        }
+        element.classList.add(classNames[cssText]);
+        element.removeAttribute("style");
+      });
+
+      if (rules.length) {
+        var styleNode = document.createElement("style");
+        styleNode.appendChild(document.createTextNode(rules.join("\n")));
+        root.appendChild(styleNode);
+      }
+      return root;
     }
+  }
+
+  /**
+   * 最简单的 PDF：每一页是一张 JPEG 图片（DCTDecode，不需要重新编码）
+   */
+  function newPdf() {
+    // 纸张大小，单位是 point（1/72 英寸）
+    var PAGE_SIZES = {
+      a3: [841.89, 1190.55],
+      a4: [595.28, 841.89],
+      a5: [419.53, 595.28],
+      letter: [612, 792],
+      legal: [612, 1008],
+    };
+
+    return {
+      write: write,
+      pageLayout: pageLayout,
+      pageBreaks: pageBreaks,
+      breakOffsets: breakOffsets,
+      impl: {
+        PAGE_SIZES: PAGE_SIZES,
+      },
+    };
 
     /**
-     * 将canvas转换为Blob
-     * 这里的实现方式是：将canvas转换为dataUrl提取其中的数据
-     * 顺便提提
-     * atob() 方法用于解码使用 base-64 编码的字符串。
+     * 页面和内容区域的大小，margin 和 CSS 一样可以是 1、2、4 个值
      */
-    function toBlob(canvas) {
-      return new Promise(function (resolve) {
-        var binaryString = window.atob(canvas.toDataURL().split(",")[1]);
-        var length = binaryString.length;
-        var binaryArray = new Uint8Array(length);
+    function pageLayout(options) {
+      var size = options.pageSize || "a4";
+      if (typeof size === "string") size = PAGE_SIZES[size.toLowerCase()];
+      if (!size) throw new Error("unknown page size: " + options.pageSize);
 
-        for (var i = 0; i < length; i++)
-          binaryArray[i] = binaryString.charCodeAt(i);
+      var width = size[0];
+      var height = size[1];
+      // 只有指定了方向才交换宽高，自定义的 [width, height] 保持原样
+      if (
+        options.orientation &&
+        (options.orientation === "landscape") !== width > height
+      ) {
+        width = size[1];
+        height = size[0];
+      }
 
-        resolve(
-          new Blob([binaryArray], {
-            type: "image/png",
-          })
-        );
-      });
-    }
+      var margin = [].concat(options.margin || 0);
+      if (margin.length === 1) margin = [margin[0], margin[0]];
+      if (margin.length === 2) margin = margin.concat(margin);
 
-    function canvasToBlob(canvas) {
-      if (canvas.toBlob)
-        return new Promise(function (resolve) {
-          canvas.toBlob(resolve);
-        });
+      var contentWidth = width - margin[1] - margin[3];
+      var contentHeight = height - margin[0] - margin[2];
+      if (!(contentWidth > 0) || !(contentHeight > 0))
+        throw new Error(
+          "page margins leave no room for content: " +
+            width +
+            "x" +
+            height +
+            " page, margin " +
+            margin.join(" ")
+        );
 
-      return toBlob(canvas);
+      return {
+        width: width,
+        height: height,
+        margin: {
+          top: margin[0],
+          right: margin[1],
+          bottom: margin[2],
+          left: margin[3],
+        },
+        contentWidth: contentWidth,
+        contentHeight: contentHeight,
+      };
     }
 
     /**
-     * 顺便提提：
-     * base标签，作用就是当a标签没有设置href值时候，就是使用base标签的href值。
-     * 一份document里面只能有一个base标签
+     * 分页的候选位置：传入的偏移量，或者匹配选择器的元素顶部相对节点顶部的偏移量，单位是 CSS 像素
      */
-    function resolveUrl(url, baseUrl) {
-      var doc = document.implementation.createHTMLDocument();
-      var base = doc.createElement("base");
-      doc.head.appendChild(base);
-      var a = doc.createElement("a");
-      doc.body.appendChild(a);
-      base.href = baseUrl;
-      a.href = url;
-      return a.href;
+    function breakOffsets(node, breaks) {
+      if (typeof breaks !== "string") return breaks || [];
+
+      var top = node.getBoundingClientRect().top;
+      return util
+        .asArray(node.querySelectorAll(breaks))
+        .map(function (element) {
+          return element.getBoundingClientRect().top - top;
+        });
     }
+
     /**
-     * 创建随机uid
+     * 计算每一页的起止位置，返回 [0, 第一页结束, 第二页结束, ..., height]
+     * 每一页在能放下的最后一个候选位置结束，没有候选位置时在页面高度处截断
      */
-    function uid() {
-      var index = 0;
+    function pageBreaks(candidates, pageHeight, height) {
+      // 页面高度不是正数时每一页都不会前进
+      if (!(pageHeight > 0))
+        throw new Error("page height must be positive, got " + pageHeight);
 
-      return function () {
-        return "u" + fourRandomChars() + index++;
+      candidates = candidates
+        .filter(function (offset) {
+          return offset > 0 && offset < height;
+        })
+        .sort(function (a, b) {
+          return a - b;
+        });
 
-        function fourRandomChars() {
-          /* see http://stackoverflow.com/a/6248722/2519373 */
-          return (
-            "0000" + ((Math.random() * Math.pow(36, 4)) << 0).toString(36)
-          ).slice(-4);
-        }
-      };
+      var result = [0];
+      var start = 0;
+      while (height - start > pageHeight) {
+        var end = start + pageHeight;
+        var fitting = candidates.filter(function (offset) {
+          return offset > start && offset <= end;
+        });
+        if (fitting.length) end = fitting[fitting.length - 1];
+        result.push(end);
+        start = end;
+      }
+      result.push(height);
+      return result;
     }
 
-    // 创建image对象
-    function makeImage(uri) {
-      return new Promise(function (resolve, reject) {
-        var image = new Image();
-        image.crossOrigin = "Anonymous";
-        image.onload = function () {
-          resolve(image);
-        };
-        image.onerror = reject;
-        image.src = uri;
-      });
-    }
     /**
-     * 请求资源，并且将资源转成dataUrl形式
+     * 生成 PDF 文件
+     * pages 为 [{ image: { data, width, height }, width, height }]，图片放在页面内容区域的左上角
      */
-    function getAndEncode(url) {
-      var TIMEOUT = 30000;
-      if (domtoimage.impl.options.cacheBust) {
-        // Cache bypass so we dont have CORS issues with cached images
-        // Source: https://developer.mozilla.org/en/docs/Web/API/XMLHttpRequest/Using_XMLHttpRequest#Bypassing_the_cache
-        url += (/\?/.test(url) ? "&" : "?") + new Date().getTime();
-      }
+    function write(pages, layout) {
+      var chunks = [];
+      var length = 0;
+      var offsets = [];
 
-      return new Promise(function (resolve) {
-        var request = new XMLHttpRequest();
+      addString("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
 
-        request.onreadystatechange = done;
-        request.ontimeout = timeout;
-        request.responseType = "blob";
-        request.timeout = TIMEOUT;
-        request.open("GET", url, true);
-        request.send();
+      // 对象编号：1 为 Catalog，2 为 Pages，之后每一页依次是页面、内容和图片
+      var kids = pages.map(function (page, index) {
+        return 3 + index * 3 + " 0 R";
+      });
+      addObject(1, "<< /Type /Catalog /Pages 2 0 R >>");
+      addObject(
+        2,
+        "<< /Type /Pages /Kids [" +
+          kids.join(" ") +
+          "] /Count " +
+          pages.length +
+          " >>"
+      );
 
-        var placeholder;
-        if (domtoimage.impl.options.imagePlaceholder) {
-          var split = domtoimage.impl.options.imagePlaceholder.split(/,/);
-          if (split && split[1]) {
-            placeholder = split[1];
-          }
-        }
+      pages.forEach(function (page, index) {
+        var id = 3 + index * 3;
+        var x = layout.margin.left;
+        var y = layout.height - layout.margin.top - page.height;
+        var content =
+          "q " +
+          [page.width, 0, 0, page.height, x, y].map(number).join(" ") +
+          " cm /Im0 Do Q";
 
-        function done() {
-          if (request.readyState !== 4) return;
+        addObject(
+          id,
+          "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " +
+            number(layout.width) +
+            " " +
+            number(layout.height) +
+            "] /Resources << /XObject << /Im0 " +
+            (id + 2) +
+            " 0 R >> >> /Contents " +
+            (id + 1) +
+            " 0 R >>"
+        );
+        addStream(id + 1, "<< /Length " + content.length + " >>", content);
+        addStream(
+          id + 2,
+          "<< /Type /XObject /Subtype /Image /Width " +
+            page.image.width +
+            " /Height " +
+            page.image.height +
+            " /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length " +
+            page.image.data.length +
+            " >>",
+          page.image.data
+        );
+      });
 
-          if (request.status !== 200) {
-            if (placeholder) {
-              resolve(placeholder);
-            } else {
-              fail(
-                "cannot fetch resource: " + url + ", status: " + request.status
-              );
-            }
+      var size = 3 + pages.length * 3;
+      var xref = length;
+      addString("xref\n0 " + size + "\n0000000000 65535 f \n");
+      for (var id = 1; id < size; id++)
+        addString(("0000000000" + offsets[id]).slice(-10) + " 00000 n \n");
+      addString(
+        "trailer\n<< /Size " +
+          size +
+          " /Root 1 0 R >>\nstartxref\n" +
+          xref +
+          "\n%%EOF\n"
+      );
 
-            return;
-          }
+      var result = new Uint8Array(length);
+      var position = 0;
+      chunks.forEach(function (chunk) {
+        result.set(chunk, position);
+        position += chunk.length;
+      });
+      return result;
 
-          var encoder = new FileReader();
-          encoder.onloadend = function () {
-            var content = encoder.result.split(/,/)[1];
-            resolve(content);
-          };
-          encoder.readAsDataURL(request.response);
-        }
+      function addObject(id, dictionary) {
+        offsets[id] = length;
+        addString(id + " 0 obj\n" + dictionary + "\nendobj\n");
+      }
 
-        function timeout() {
-          if (placeholder) {
-            resolve(placeholder);
-          } else {
-            fail(
-              "timeout of " +
-                TIMEOUT +
-                "ms occured while fetching resource: " +
-                url
-            );
-          }
-        }
+      function addStream(id, dictionary, data) {
+        offsets[id] = length;
+        addString(id + " 0 obj\n" + dictionary + "\nstream\n");
+        if (typeof data === "string") addString(data);
+        else addBytes(data);
+        addString("\nendstream\nendobj\n");
+      }
 
-        function fail(message) {
-          console.error(message);
-          resolve("");
-        }
-      });
+      function addString(string) {
+        var bytes = new Uint8Array(string.length);
+        for (var i = 0; i < string.length; i++)
+          bytes[i] = string.charCodeAt(i) & 0xff;
+        addBytes(bytes);
+      }
+
+      function addBytes(bytes) {
+        chunks.push(bytes);
+        length += bytes.length;
+      }
+    }
+
+    // PDF 中的数字最多保留两位小数
+    function number(value) {
+      return String(Math.round(value * 100) / 100);
     }
+  }
+
+  /**
+   * PNG 编码器：按行写入像素，图片再大也不需要一个完整的 canvas
+   * 像素按 RGBA 8 位编码，每行使用 None 滤波，压缩用 CompressionStream，不支持时用不压缩的 deflate
+   */
+  function newPng() {
+    var SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+    return {
+      newEncoder: newEncoder,
+      impl: {
+        chunk: chunk,
+        newDeflate: newDeflate,
+        newStoredDeflate: newStoredDeflate,
+      },
+    };
+
     /**
-     * 组装并且返回dataUrl
+     * 返回 { addRows(pixels, rows), finish() }
+     * addRows 写入 rows 行 RGBA 像素，返回 Promise；finish 返回 PNG 的 Blob
      */
-    function dataAsUrl(content, type) {
-      return "data:" + type + ";base64," + content;
+    function newEncoder(width, height) {
+      var parts = [new Uint8Array(SIGNATURE), chunk("IHDR", header())];
+      var deflate = newDeflate(function (bytes) {
+        parts.push(chunk("IDAT", bytes));
+      });
+
+      return {
+        addRows: addRows,
+        finish: finish,
+      };
+
+      function header() {
+        var bytes = new Uint8Array(13);
+        var view = new DataView(bytes.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        bytes[8] = 8; // 位深度
+        bytes[9] = 6; // RGBA
+        return bytes;
+      }
+
+      function addRows(pixels, rows) {
+        var line = width * 4;
+        // 每一行前面是滤波类型，0 表示不滤波
+        var data = new Uint8Array(rows * (line + 1));
+        for (var row = 0; row < rows; row++)
+          data.set(
+            pixels.subarray(row * line, (row + 1) * line),
+            row * (line + 1) + 1
+          );
+        return deflate.write(data);
+      }
+
+      function finish() {
+        return deflate.close().then(function () {
+          parts.push(chunk("IEND", new Uint8Array(0)));
+          return new Blob(parts, { type: "image/png" });
+        });
+      }
     }
 
-    function escape(string) {
-      return string.replace(/([.*+?^${}()|\[\]\/\\])/g, "\\$1");
+    // 长度 + 类型 + 数据 + CRC（类型和数据的 CRC32）
+    function chunk(type, data) {
+      var bytes = new Uint8Array(data.length + 12);
+      var view = new DataView(bytes.buffer);
+      view.setUint32(0, data.length);
+      for (var i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+      bytes.set(data, 8);
+      view.setUint32(
+        data.length + 8,
+        util.crc32(bytes.subarray(4, data.length + 8))
+      );
+      return bytes;
     }
+
     /**
-     * 延时
+     * zlib 格式的压缩流，压缩后的数据交给 onData
+     * 返回 { write(bytes), close() }，都返回 Promise
      */
-    function delay(ms) {
-      return function (arg) {
-        return new Promise(function (resolve) {
-          setTimeout(function () {
-            resolve(arg);
-          }, ms);
-        });
+    function newDeflate(onData) {
+      if (typeof CompressionStream === "undefined")
+        return newStoredDeflate(onData);
+
+      var stream = new CompressionStream("deflate");
+      var writer = stream.writable.getWriter();
+      var reader = stream.readable.getReader();
+      // 一边写入一边读取，否则写入会因为背压一直等待
+      var reading = read();
+
+      return {
+        write: function (bytes) {
+          return writer.write(bytes);
+        },
+        close: function () {
+          return writer.close().then(function () {
+            return reading;
+          });
+        },
       };
+
+      function read() {
+        return reader.read().then(function (result) {
+          if (result.done) return;
+          onData(result.value);
+          return read();
+        });
+      }
     }
+
     /**
-     * 类数组转为数组
+     * 不压缩的 zlib 流：deflate 的 stored 块，最后是 Adler-32 校验
      */
-    function asArray(arrayLike) {
-      var array = [];
-      var length = arrayLike.length;
-      for (var i = 0; i < length; i++) array.push(arrayLike[i]);
-      return array;
-    }
+    function newStoredDeflate(onData) {
+      var MAX_BLOCK = 65535;
+      var a = 1;
+      var b = 0;
 
-    function escapeXhtml(string) {
-      return string.replace(/#/g, "%23").replace(/\n/g, "%0A");
+      onData(new Uint8Array([0x78, 0x01]));
+
+      return {
+        write: function (bytes) {
+          for (var start = 0; start < bytes.length; start += MAX_BLOCK)
+            onData(block(bytes.subarray(start, start + MAX_BLOCK), false));
+          adler32(bytes);
+          return Promise.resolve();
+        },
+        close: function () {
+          onData(block(new Uint8Array(0), true));
+          var checksum = new Uint8Array(4);
+          new DataView(checksum.buffer).setUint32(0, ((b << 16) | a) >>> 0);
+          onData(checksum);
+          return Promise.resolve();
+        },
+      };
+
+      function block(data, last) {
+        var bytes = new Uint8Array(data.length + 5);
+        bytes[0] = last ? 1 : 0;
+        bytes[1] = data.length & 0xff;
+        bytes[2] = data.length >>> 8;
+        bytes[3] = ~data.length & 0xff;
+        bytes[4] = (~data.length >>> 8) & 0xff;
+        bytes.set(data, 5);
+        return bytes;
+      }
+
+      function adler32(bytes) {
+        // 每 5552 个字节取一次模，不会溢出
+        for (var start = 0; start < bytes.length; start += 5552) {
+          var end = Math.min(start + 5552, bytes.length);
+          for (var i = start; i < end; i++) {
+            a += bytes[i];
+            b += a;
+          }
+          a %= 65521;
+          b %= 65521;
+        }
+      }
     }
+  }
+
+  /**
+   * ZIP 打包，文件不压缩（store），图片本身已经是压缩过的格式
+   */
+  function newZip() {
+    return {
+      write: write,
+    };
+
     /**
-     * 获取元素总宽度 含border
+     * files 为 [{ name, data }]，data 为 Uint8Array，返回 ZIP 的 Blob
      */
-    function width(node) {
-      var leftBorder = px(node, "border-left-width");
-      var rightBorder = px(node, "border-right-width");
-      return node.scrollWidth + leftBorder + rightBorder;
+    function write(files) {
+      var parts = [];
+      var directory = [];
+      var offset = 0;
+      var time = dosTime(new Date());
+
+      files.forEach(function (file) {
+        var name = utf8(file.name);
+        var crc = util.crc32(file.data);
+
+        var header = new Uint8Array(30 + name.length);
+        var view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034b50, true);
+        view.setUint16(4, 20, true); // 解压需要的版本
+        view.setUint16(6, 0x0800, true); // 文件名为 UTF-8
+        view.setUint16(8, 0, true); // store，不压缩
+        view.setUint16(10, time.time, true);
+        view.setUint16(12, time.date, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, file.data.length, true);
+        view.setUint32(22, file.data.length, true);
+        view.setUint16(26, name.length, true);
+        header.set(name, 30);
+
+        var entry = new Uint8Array(46 + name.length);
+        var entryView = new DataView(entry.buffer);
+        entryView.setUint32(0, 0x02014b50, true);
+        entryView.setUint16(4, 20, true);
+        // 版本到文件名长度和本地文件头相同
+        entry.set(header.subarray(4, 28), 6);
+        entryView.setUint32(42, offset, true);
+        entry.set(name, 46);
+
+        parts.push(header, file.data);
+        directory.push(entry);
+        offset += header.length + file.data.length;
+      });
+
+      var directorySize = directory.reduce(function (size, entry) {
+        return size + entry.length;
+      }, 0);
+      var end = new Uint8Array(22);
+      var endView = new DataView(end.buffer);
+      endView.setUint32(0, 0x06054b50, true);
+      endView.setUint16(8, files.length, true);
+      endView.setUint16(10, files.length, true);
+      endView.setUint32(12, directorySize, true);
+      endView.setUint32(16, offset, true);
+
+      return new Blob(parts.concat(directory, [end]), {
+        type: "application/zip",
+      });
     }
-    /**
-     * 获取元素总高度 含border
-     */
-    function height(node) {
-      var topBorder = px(node, "border-top-width");
-      var bottomBorder = px(node, "border-bottom-width");
-      return node.scrollHeight + topBorder + bottomBorder;
+
+    // MS-DOS 格式的日期和时间
+    function dosTime(date) {
+      return {
+        time:
+          (date.getHours() << 11) |
+          (date.getMinutes() << 5) |
+          (date.getSeconds() >> 1),
+        date:
+          ((date.getFullYear() - 1980) << 9) |
+          ((date.getMonth() + 1) << 5) |
+          date.getDate(),
+      };
     }
-    /**
-     * 获取对象的指定的css属性的值，返回 number
-     * 顺便提提：
-     * window.getComputedStyle 最终能在元素上使用的所有css属性对象
-     * window.getPropertyValue 可以获取CSS样式申明对象上的属性值
-     * 为什么不直接用element.style 去获取？因为element.style只能获取元素style属性中的CSS样式，对于一个没有设置css属性的element来说，获取不到值的。
-     */
-    function px(node, styleProperty) {
-      var value = window.getComputedStyle(node).getPropertyValue(styleProperty);
-      return parseFloat(value.replace("px", ""));
+
+    function utf8(string) {
+      if (typeof TextEncoder !== "undefined")
+        return new TextEncoder().encode(string);
+      var binaryString = unescape(encodeURIComponent(string));
+      var bytes = new Uint8Array(binaryString.length);
+      for (var i = 0; i < binaryString.length; i++)
+        bytes[i] = binaryString.charCodeAt(i);
+      return bytes;
     }
   }
 
   function newInliner() {
     var URL_REGEX = /url\(['"]?([^'"]+?)['"]?\)/g;
+    var URL_TOKEN_REGEX = /(url\(['"]?)([^'"]+?)(['"]?\))/g;
 
     return {
       inlineAll: inlineAll,
@@ -703,9 +3396,24 @@
       });
     }
     /**
-     * 将资源下载好，并且转成dataUrl，将原本的加载url形式替换为加载dataUrl形式
+     * 将资源下载好，并且转成dataUrl，将原本的加载url形式替换为加载dataUrl形式
+     */
+    function inline(string, url, baseUrl, get) {
+      return fetchAsDataUrl(url, baseUrl, get).then(function (dataUrl) {
+        return string.replace(urlAsRegex(url), "$1" + dataUrl + "$3");
+      });
+
+      function urlAsRegex(url) {
+        return new RegExp(
+          "(url\\(['\"]?)(" + util.escape(url) + ")(['\"]?\\))",
+          "g"
+        );
+      }
+    }
+    /**
+     * 请求 url（相对 baseUrl）并转成 dataUrl
      */
-    function inline(string, url, baseUrl, get) {
+    function fetchAsDataUrl(url, baseUrl, get) {
       return Promise.resolve(url)
         .then(function (url) {
           return baseUrl ? util.resolveUrl(url, baseUrl) : url;
@@ -713,20 +3421,12 @@
         .then(get || util.getAndEncode)
         .then(function (data) {
           return util.dataAsUrl(data, util.mimeType(url));
-        })
-        .then(function (dataUrl) {
-          return string.replace(urlAsRegex(url), "$1" + dataUrl + "$3");
         });
-
-      function urlAsRegex(url) {
-        return new RegExp(
-          "(url\\(['\"]?)(" + util.escape(url) + ")(['\"]?\\))",
-          "g"
-        );
-      }
     }
     /**
      * 就是 inline 的一个批处理
+     * 所有资源并行请求（并发数由 get 控制），全部完成后一次性替换，
+     * 每个 url() 只和自己完整的地址匹配，不会被另一个地址的前缀误替换
      */
     function inlineAll(string, baseUrl, get) {
       if (nothingToInline()) return Promise.resolve(string);
@@ -734,15 +3434,30 @@
       return Promise.resolve(string)
         .then(readUrls)
         .then(function (urls) {
-          var done = Promise.resolve(string);
-          urls.forEach(function (url) {
-            done = done.then(function (string) {
-              return inline(string, url, baseUrl, get);
-            });
+          var dataUrls = {};
+          return Promise.all(
+            unique(urls).map(function (url) {
+              return fetchAsDataUrl(url, baseUrl, get).then(function (dataUrl) {
+                dataUrls[url] = dataUrl;
+              });
+            })
+          ).then(function () {
+            return string.replace(
+              URL_TOKEN_REGEX,
+              function (match, prefix, url, suffix) {
+                if (!dataUrls.hasOwnProperty(url)) return match;
+                return prefix + dataUrls[url] + suffix;
+              }
+            );
           });
-          return done;
         });
 
+      function unique(urls) {
+        return urls.filter(function (url, index) {
+          return urls.indexOf(url) === index;
+        });
+      }
+
       /**
        * 不包含url
        */
@@ -753,19 +3468,32 @@
   }
 
   function newFontFaces() {
+    // new FontFace(family, source) 创建的字体拿不到 source，只能在创建时记下来
+    var fontFaceSources = typeof WeakMap !== "undefined" ? new WeakMap() : null;
+
     return {
       resolveAll: resolveAll,
+      newUsage: newUsage,
+      register: register,
+      trackFontFaces: trackFontFaces,
       impl: {
         readAll: readAll,
+        readFontFaceSet: readFontFaceSet,
+        selectUsed: selectUsed,
+        parseFontFaceRules: parseFontFaceRules,
+        parseFamilies: parseFamilies,
+        parseUnicodeRange: parseUnicodeRange,
       },
     };
 
-    function resolveAll() {
-      return readAll(document)
+    function resolveAll(context) {
+      return (context && context.shared ? readShared : readAll)(context)
         .then(function (webFonts) {
+          if (context && !context.options.embedAllFonts)
+            webFonts = selectUsed(webFonts, context.state.fonts);
           return Promise.all(
             webFonts.map(function (webFont) {
-              return webFont.resolve();
+              return webFont.resolve(context && context.getter("font"));
             })
           );
         })
@@ -774,13 +3502,62 @@
         });
     }
 
-    function readAll() {
+    /**
+     * renderAll 中样式表相同的渲染只读取一次字体
+     * 读取失败的样式表同样记录到每一次渲染中
+     */
+    function readShared(context) {
+      var roots = context.state.documents.concat(context.state.shadowRoots);
+      var entry = context.shared.webFonts.filter(function (entry) {
+        return (
+          entry.roots.length === roots.length &&
+          entry.roots.every(function (root, index) {
+            return root === roots[index];
+          })
+        );
+      })[0];
+
+      if (!entry) {
+        entry = {
+          roots: roots,
+          failedStyleSheets: context.state.failedStyleSheets,
+          webFonts: readAll(context),
+        };
+        context.shared.webFonts.push(entry);
+        return entry.webFonts;
+      }
+      return entry.webFonts.then(function (webFonts) {
+        entry.failedStyleSheets.forEach(function (href) {
+          context.state.failedStyleSheets.push(href);
+        });
+        return webFonts;
+      });
+    }
+
+    function readAll(context) {
+      var unreadable = [];
+      var documents = context ? context.state.documents : [document];
+      var shadowRoots = context ? context.state.shadowRoots : [];
       // 获取所有样式表，并处理为数组形式
-      return Promise.resolve(util.asArray(document.styleSheets))
+      // 包括 adoptedStyleSheets（构造的样式表）和 shadow root 中的样式表
+      return Promise.resolve(
+        documents.concat(shadowRoots).reduce(function (styleSheets, root) {
+          return styleSheets
+            .concat(util.asArray(root.styleSheets || []))
+            .concat(util.asArray(root.adoptedStyleSheets || []));
+        }, [])
+      )
         .then(getCssRules)
+        .then(function (cssRules) {
+          return recoverStyleSheets(unreadable, context).then(function (
+            recovered
+          ) {
+            return cssRules.concat(recovered);
+          });
+        })
         .then(selectWebFontRules)
         .then(function (rules) {
-          return rules.map(newWebFont);
+          return rules.map(newWebFont).concat(readFontFaceSet(documents));
         });
 
       /**
@@ -798,43 +3575,576 @@
       /**
        * 处理样式表
        * 或有包含所有 cssrules 的数组
+       * 会继续进入 @import 的样式表和 @media、@supports 等分组规则，
+       * 不生效的 @media、@supports 会被跳过
        */
       function getCssRules(styleSheets) {
         var cssRules = [];
-        styleSheets.forEach(function (sheet) {
+        var visited = [];
+        styleSheets.forEach(collectSheet);
+        return cssRules;
+
+        function collectSheet(sheet) {
+          // 循环 @import 时只处理一次
+          if (!sheet || sheet.disabled || visited.indexOf(sheet) !== -1) return;
+          visited.push(sheet);
+          if (!mediaMatches(sheet.media)) return;
+
           try {
-            util
-              .asArray(sheet.cssRules || [])
-              .forEach(cssRules.push.bind(cssRules));
+            collectRules(sheet.cssRules || []);
           } catch (e) {
+            // 跨域的样式表读取 cssRules 会抛出 SecurityError，稍后重新请求
+            unreadable.push({ sheet: sheet, error: e });
+          }
+        }
+
+        function collectRules(rules) {
+          util.asArray(rules).forEach(function (rule) {
+            if (rule.type === CSSRule.IMPORT_RULE) {
+              if (mediaMatches(rule.media)) collectSheet(rule.styleSheet);
+            } else if (rule.type === CSSRule.MEDIA_RULE) {
+              if (mediaMatches(rule.media)) collectRules(rule.cssRules);
+            } else if (rule.type === CSSRule.SUPPORTS_RULE) {
+              if (supports(rule.conditionText)) collectRules(rule.cssRules);
+            } else if (rule.cssRules) {
+              // @layer、@container 等其他分组规则
+              collectRules(rule.cssRules);
+            } else {
+              cssRules.push(rule);
+            }
+          });
+        }
+
+        function mediaMatches(media) {
+          var mediaText = media && media.mediaText;
+          if (!mediaText || !window.matchMedia) return true;
+          return window.matchMedia(mediaText).matches;
+        }
+
+        function supports(conditionText) {
+          if (!conditionText || !window.CSS || !window.CSS.supports)
+            return true;
+          return window.CSS.supports(conditionText);
+        }
+      }
+
+      /**
+       * 重新请求无法读取的样式表，从文本中解析出 @font-face
+       */
+      function recoverStyleSheets(unreadable, context) {
+        var fetch = context
+          ? function (url) {
+              return context.fetch(url, "stylesheet");
+            }
+          : util.fetchAndEncode;
+        var visited = [];
+
+        return Promise.all(
+          unreadable.map(function (item) {
+            var href = item.sheet.href;
+            if (!href) return Promise.resolve(fail(href, item.error));
+            return recover(href).catch(function (error) {
+              return fail(href, error);
+            });
+          })
+        ).then(function (ruleLists) {
+          return ruleLists.reduce(function (all, rules) {
+            return all.concat(rules);
+          }, []);
+        });
+
+        function recover(href) {
+          if (visited.indexOf(href) !== -1) return Promise.resolve([]);
+          visited.push(href);
+
+          return fetch(href)
+            .then(util.decodeText)
+            .then(function (cssText) {
+              cssText = cssText.replace(/\/\*[\s\S]*?\*\//g, "");
+              var rules = parseFontFaceRules(cssText, href);
+              // @import 的样式表同样是跨域的，继续请求，失败的跳过
+              return Promise.all(
+                parseImports(cssText, href).map(function (url) {
+                  return recover(url).catch(function (error) {
+                    return fail(url, error);
+                  });
+                })
+              ).then(function (imported) {
+                return imported.reduce(function (all, rules) {
+                  return all.concat(rules);
+                }, rules);
+              });
+            });
+        }
+
+        // 传入了 onStyleSheetError 时由调用方处理，不再输出到控制台
+        function fail(href, error) {
+          if (!context || !context.options.onStyleSheetError)
             console.log(
-              "Error while reading CSS rules from " + sheet.href,
-              e.toString()
+              "Error while reading CSS rules from " + href,
+              error.toString()
             );
+          if (context) {
+            context.state.failedStyleSheets.push(href);
+            if (context.options.onStyleSheetError)
+              context.options.onStyleSheetError(href, error);
           }
-        });
-        return cssRules;
+          return [];
+        }
       }
 
       function newWebFont(webFontRule) {
         return {
-          resolve: function resolve() {
-            var baseUrl = (webFontRule.parentStyleSheet || {}).href;
-            return inliner.inlineAll(webFontRule.cssText, baseUrl);
+          resolve: function resolve(get) {
+            // 相对地址要相对声明这条规则的样式表，例如 @import 进来的样式表
+            var baseUrl = styleSheetBaseUrl(webFontRule.parentStyleSheet);
+            return inliner.inlineAll(webFontRule.cssText, baseUrl, get);
           },
           src: function () {
             return webFontRule.style.getPropertyValue("src");
           },
+          family: function () {
+            return webFontRule.style.getPropertyValue("font-family");
+          },
+          weight: function () {
+            return webFontRule.style.getPropertyValue("font-weight");
+          },
+          style: function () {
+            return webFontRule.style.getPropertyValue("font-style");
+          },
+          unicodeRange: function () {
+            return webFontRule.style.getPropertyValue("unicode-range");
+          },
         };
       }
     }
+
+    /**
+     * 替换全局的 FontFace 构造函数，记录之后创建的每个字体的 source
+     * 需要调用 domtoimage.trackFontFaces() 才会开启，加载本库时不会修改全局对象
+     * 返回的仍然是原生的 FontFace 对象，instanceof 也不受影响；继承 FontFace 的类和开启之前创建的字体
+     * 不会被记录，需要用 domtoimage.registerFontFace(face, source) 登记
+     */
+    function trackFontFaces() {
+      if (!fontFaceSources || typeof window === "undefined") return;
+      var NativeFontFace = window.FontFace;
+      if (!NativeFontFace || NativeFontFace.domtoimageTracked) return;
+
+      function FontFace(family, source, descriptors) {
+        var face =
+          arguments.length > 2
+            ? new NativeFontFace(family, source, descriptors)
+            : new NativeFontFace(family, source);
+        register(face, source);
+        return face;
+      }
+      FontFace.prototype = NativeFontFace.prototype;
+      FontFace.domtoimageTracked = true;
+      window.FontFace = FontFace;
+    }
+
+    /**
+     * 登记字体的 source，通过 domtoimage.registerFontFace(face, source) 调用，
+     * 登记过并且已经加载的 FontFace 才会被嵌入
+     * source 与 FontFace 构造函数的参数相同：css src 字符串、ArrayBuffer 或 ArrayBufferView
+     */
+    function register(face, source) {
+      if (fontFaceSources && face) fontFaceSources.set(face, source);
+    }
+
+    /**
+     * 读取 document.fonts 中通过 FontFace API 加载的字体
+     * 样式表中的 @font-face 也会出现在 document.fonts 中，它们没有记录 source，会被跳过
+     */
+    function readFontFaceSet(documents) {
+      var webFonts = [];
+      if (!fontFaceSources) return webFonts;
+
+      (documents || [document]).forEach(function (doc) {
+        if (!doc.fonts || !doc.fonts.forEach) return;
+        doc.fonts.forEach(function (face) {
+          if (face.status !== "loaded" || !fontFaceSources.has(face)) return;
+          webFonts.push(newFontFaceWebFont(face, fontFaceSources.get(face)));
+        });
+      });
+      return webFonts;
+    }
+
+    /**
+     * 把 FontFace 对象转换成和样式表中的字体相同的接口
+     */
+    function newFontFaceWebFont(face, source) {
+      return {
+        resolve: function resolve(get) {
+          if (typeof source === "string")
+            return inliner
+              .inlineAll(source, document.baseURI, get)
+              .then(formatRule);
+
+          var buffer = source.buffer
+            ? new Uint8Array(
+                source.buffer,
+                source.byteOffset,
+                source.byteLength
+              )
+            : new Uint8Array(source);
+          var format = fontFormat(buffer);
+          return Promise.resolve(
+            formatRule(
+              "url(" +
+                util.dataAsUrl(
+                  util.bytesToBase64(buffer),
+                  util.mimeType("." + format.extension)
+                ) +
+                ') format("' +
+                format.name +
+                '")'
+            )
+          );
+        },
+        src: function () {
+          return typeof source === "string" ? source : "";
+        },
+        family: function () {
+          return face.family;
+        },
+        weight: function () {
+          return face.weight;
+        },
+        style: function () {
+          return face.style;
+        },
+        unicodeRange: function () {
+          return face.unicodeRange;
+        },
+      };
+
+      function formatRule(src) {
+        var family = face.family.replace(/^(["'])(.*)\1$/, "$2");
+        return (
+          "@font-face {" +
+          ' font-family: "' +
+          family.replace(/"/g, '\\"') +
+          '";' +
+          " src: " +
+          src +
+          ";" +
+          " font-style: " +
+          face.style +
+          ";" +
+          " font-weight: " +
+          face.weight +
+          ";" +
+          " font-stretch: " +
+          face.stretch +
+          ";" +
+          " unicode-range: " +
+          face.unicodeRange +
+          ";" +
+          " }"
+        );
+      }
+    }
+
+    /**
+     * 根据文件头判断字体格式
+     */
+    function fontFormat(bytes) {
+      var signature = String.fromCharCode.apply(
+        null,
+        util.asArray(bytes.subarray(0, 4))
+      );
+      if (signature === "wOF2") return { extension: "woff2", name: "woff2" };
+      if (signature === "wOFF") return { extension: "woff", name: "woff" };
+      if (signature === "OTTO") return { extension: "otf", name: "opentype" };
+      return { extension: "ttf", name: "truetype" };
+    }
+
+    /**
+     * 从样式表文本中解析出 @font-face 规则
+     * 返回的对象和 CSSFontFaceRule 一样有 type、cssText、style 和 parentStyleSheet
+     */
+    function parseFontFaceRules(cssText, href) {
+      var FONT_FACE_REGEX = /@font-face\s*\{([^}]*)\}/gi;
+      var rules = [];
+      var match;
+      while ((match = FONT_FACE_REGEX.exec(cssText)) !== null) {
+        rules.push({
+          type: CSSRule.FONT_FACE_RULE,
+          cssText: match[0],
+          style: parseDeclarations(match[1]),
+          parentStyleSheet: { href: href },
+        });
+      }
+      return rules;
+    }
+
+    /**
+     * 解析声明块，返回带 getPropertyValue 的对象
+     */
+    function parseDeclarations(block) {
+      var DECLARATION_REGEX =
+        /([\w-]+)\s*:\s*((?:[^;"'(]|"[^"]*"|'[^']*'|\([^)]*\))+)/g;
+      var values = {};
+      var match;
+      while ((match = DECLARATION_REGEX.exec(block)) !== null) {
+        values[match[1].toLowerCase()] = match[2].trim();
+      }
+      return {
+        getPropertyValue: function (name) {
+          return values.hasOwnProperty(name) ? values[name] : "";
+        },
+      };
+    }
+
+    /**
+     * 解析样式表文本中 @import 的地址，返回绝对地址
+     */
+    function parseImports(cssText, href) {
+      var IMPORT_REGEX = /@import\s+(?:url\(\s*)?['"]?([^'")\s;]+)['"]?/gi;
+      var urls = [];
+      var match;
+      while ((match = IMPORT_REGEX.exec(cssText)) !== null) {
+        urls.push(util.resolveUrl(match[1], href));
+      }
+      return urls;
+    }
+
+    /**
+     * 样式表中相对地址的基准：外链样式表是它自己的地址，内联样式表是所在文档的地址
+     */
+    function styleSheetBaseUrl(sheet) {
+      if (!sheet) return undefined;
+      if (sheet.href) return sheet.href;
+      return (sheet.ownerNode && sheet.ownerNode.baseURI) || undefined;
+    }
+
+    /**
+     * 记录克隆树中用到的字体：字体族、字重、字形和显示的文字
+     */
+    function newUsage() {
+      var families = {};
+
+      return {
+        add: add,
+        families: families,
+      };
+
+      /**
+       * style 为元素或伪元素的 computed style，text 为用这个字体显示的文字
+       */
+      function add(style, text) {
+        var weight = parseWeight(style.getPropertyValue("font-weight"))[0];
+        var fontStyle = normalizeStyle(style.getPropertyValue("font-style"));
+        text = transformText(
+          text || "",
+          style.getPropertyValue("text-transform")
+        );
+
+        parseFamilies(style.getPropertyValue("font-family")).forEach(function (
+          family
+        ) {
+          var usage =
+            families[family] ||
+            (families[family] = { variants: {}, chars: {} });
+          usage.variants[weight + " " + fontStyle] = {
+            weight: weight,
+            style: fontStyle,
+          };
+          forEachCodePoint(text, function (codePoint) {
+            usage.chars[codePoint] = true;
+          });
+        });
+      }
+
+      function transformText(text, transform) {
+        if (transform === "uppercase") return text.toUpperCase();
+        if (transform === "lowercase") return text.toLowerCase();
+        // capitalize 只改首字母，两种大小写都算上
+        if (transform === "capitalize") return text + text.toUpperCase();
+        return text;
+      }
+    }
+
+    /**
+     * 按照用到的字体筛选 web font
+     * 先按字体族，再按字形和最接近的字重（与浏览器的字体匹配规则相同），
+     * 最后按 unicode-range 去掉文字用不到的子集
+     */
+    function selectUsed(webFonts, usage) {
+      var selected = [];
+
+      Object.keys(usage.families).forEach(function (family) {
+        var familyUsage = usage.families[family];
+        var faces = webFonts.filter(function (webFont) {
+          return parseFamilies(webFont.family())[0] === family;
+        });
+        if (faces.length === 0) return;
+
+        Object.keys(familyUsage.variants).forEach(function (key) {
+          var variant = familyUsage.variants[key];
+          matchVariant(faces, variant)
+            .filter(function (webFont) {
+              return coversText(webFont, familyUsage.chars);
+            })
+            .forEach(function (webFont) {
+              if (selected.indexOf(webFont) === -1) selected.push(webFont);
+            });
+        });
+      });
+
+      // 保持样式表中原来的顺序
+      return webFonts.filter(function (webFont) {
+        return selected.indexOf(webFont) !== -1;
+      });
+    }
+
+    function matchVariant(faces, variant) {
+      var sameStyle = faces.filter(function (webFont) {
+        return normalizeStyle(webFont.style()) === variant.style;
+      });
+      var candidates = sameStyle.length ? sameStyle : faces;
+
+      var best = Infinity;
+      var distances = candidates.map(function (webFont) {
+        var distance = weightDistance(
+          parseWeight(webFont.weight()),
+          variant.weight
+        );
+        best = Math.min(best, distance);
+        return distance;
+      });
+      return candidates.filter(function (webFont, index) {
+        return distances[index] === best;
+      });
+    }
+
+    /**
+     * 字重的距离，范围内为 0，越小越优先
+     * 按 CSS 字体匹配的顺序分档，档内比较距离：
+     * 400 到 500 之间：先找目标到 500 之间更粗的，再找更细的，最后找粗于 500 的
+     * 细于 400：先找更细的，再找更粗的；粗于 500：先找更粗的，再找更细的
+     */
+    function weightDistance(range, weight) {
+      var min = range[0];
+      var max = range[range.length - 1];
+      if (weight >= min && weight <= max) return 0;
+
+      var lighter = max < weight;
+      var distance = lighter ? weight - max : min - weight;
+      var tier;
+      if (weight >= 400 && weight <= 500)
+        tier = lighter ? 2 : min <= 500 ? 1 : 3;
+      else if (weight < 400) tier = lighter ? 1 : 2;
+      else tier = lighter ? 2 : 1;
+      return tier * 1000 + distance;
+    }
+
+    function coversText(webFont, chars) {
+      var ranges = parseUnicodeRange(webFont.unicodeRange());
+      if (ranges.length === 0) return true;
+
+      return Object.keys(chars).some(function (codePoint) {
+        codePoint = Number(codePoint);
+        return ranges.some(function (range) {
+          return codePoint >= range[0] && codePoint <= range[1];
+        });
+      });
+    }
+
+    /**
+     * 解析 font-family 列表，返回去掉引号的小写字体名
+     */
+    function parseFamilies(value) {
+      return (value || "")
+        .split(/,(?=(?:[^"']*["'][^"']*["'])*[^"']*$)/)
+        .map(function (family) {
+          return family
+            .trim()
+            .replace(/^(["'])(.*)\1$/, "$2")
+            .toLowerCase();
+        })
+        .filter(function (family) {
+          return family;
+        });
+    }
+
+    /**
+     * 解析 font-weight，返回 [min, max]
+     */
+    function parseWeight(value) {
+      var keywords = { "": 400, normal: 400, bold: 700 };
+      var weights = String(value || "")
+        .trim()
+        .split(/\s+/)
+        .map(function (weight) {
+          return keywords.hasOwnProperty(weight)
+            ? keywords[weight]
+            : Number(weight) || 400;
+        });
+      return [weights[0], weights[weights.length - 1]];
+    }
+
+    function normalizeStyle(value) {
+      value = String(value || "").trim();
+      if (/^(italic|oblique)/.test(value)) return "italic";
+      return "normal";
+    }
+
+    /**
+     * 解析 unicode-range，例如 "U+0000-00FF, U+0131, U+4??"，返回 [[start, end]]
+     */
+    function parseUnicodeRange(value) {
+      return String(value || "")
+        .split(",")
+        .map(function (range) {
+          var match = /^\s*u\+([0-9a-f?]+)(?:-([0-9a-f]+))?\s*$/i.exec(range);
+          if (!match) return null;
+          var start = match[1];
+          var end = match[2] || start;
+          return [
+            parseInt(start.replace(/\?/g, "0"), 16),
+            parseInt(end.replace(/\?/g, "f"), 16),
+          ];
+        })
+        .filter(function (range) {
+          return range;
+        });
+    }
+
+    function forEachCodePoint(text, callback) {
+      for (var i = 0; i < text.length; i++) {
+        var code = text.charCodeAt(i);
+        if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+          var low = text.charCodeAt(i + 1);
+          if (low >= 0xdc00 && low <= 0xdfff) {
+            code = (code - 0xd800) * 0x400 + (low - 0xdc00) + 0x10000;
+            i++;
+          }
+        }
+        callback(code);
+      }
+    }
   }
 
   function newImages() {
+    // 可能引用图片的样式属性，background 简写放在最前面，兼容只设置了简写的情况
+    var IMAGE_PROPERTIES = [
+      "background",
+      "background-image",
+      "mask-image",
+      "-webkit-mask-image",
+      "border-image-source",
+      "list-style-image",
+      "content",
+      "cursor",
+    ];
+
     return {
       inlineAll: inlineAll,
       impl: {
         newImage: newImage,
+        resolveImageSet: resolveImageSet,
       },
     };
 
@@ -864,37 +4174,205 @@
       }
     }
 
-    function inlineAll(node) {
+    function inlineAll(node, context) {
       if (!(node instanceof Element)) return Promise.resolve(node);
+      var get = context && context.getter("image");
+      var ratio = util.pixelRatio(context ? context.options : {});
 
-      return inlineBackground(node).then(function () {
-        if (node instanceof HTMLImageElement) return newImage(node).inline();
+      return inlineStyleImages(node).then(function () {
+        if (node instanceof HTMLImageElement) return newImage(node).inline(get);
+        if (node instanceof HTMLInputElement && node.type === "image")
+          return inlineAttribute(node, "src");
+        if (node instanceof HTMLVideoElement && node.poster)
+          return inlineAttribute(node, "poster");
+        if (node instanceof SVGElement && node.localName === "image")
+          return inlineSvgImage(node);
+        // 伪元素的样式（content: url(...)）和节点内的 <style> 中的图片
+        if (node instanceof HTMLStyleElement) return inlineStyleElement(node);
         else
           return Promise.all(
             util.asArray(node.childNodes).map(function (child) {
-              return inlineAll(child);
+              return inlineAll(child, context);
             })
           );
       });
 
-      function inlineBackground(node) {
-        var background = node.style.getPropertyValue("background");
+      /**
+       * 逐个属性内联，属性值可以有多层背景，依次内联避免简写和分写属性互相覆盖
+       */
+      function inlineStyleImages(node) {
+        if (!node.style) return Promise.resolve(node);
+
+        var done = Promise.resolve();
+        IMAGE_PROPERTIES.forEach(function (property) {
+          done = done.then(function () {
+            var value = node.style.getPropertyValue(property);
+            if (!value || !hasImages(value)) return;
+
+            return inliner
+              .inlineAll(resolveImageSet(value, ratio), undefined, get)
+              .then(function (inlined) {
+                node.style.setProperty(
+                  property,
+                  inlined,
+                  node.style.getPropertyPriority(property)
+                );
+              });
+          });
+        });
+        return done.then(function () {
+          return node;
+        });
+      }
+
+      /**
+       * 图片地址在属性上、不需要等待加载的元素：<input type="image">、<video poster>
+       */
+      function inlineAttribute(node, attribute) {
+        var url = node.getAttribute(attribute);
+        if (!url || util.isDataUrl(url)) return Promise.resolve(node);
+
+        return fetchDataUrl(url).then(function (dataUrl) {
+          node.setAttribute(attribute, dataUrl);
+          return node;
+        });
+      }
+
+      /**
+       * svg <image> 的地址可能在 href 或 xlink:href 上，两者都替换
+       */
+      function inlineSvgImage(node) {
+        var XLINK = "http://www.w3.org/1999/xlink";
+        var url =
+          node.getAttribute("href") || node.getAttributeNS(XLINK, "href");
+        if (!url || util.isDataUrl(url)) return Promise.resolve(node);
+
+        return fetchDataUrl(url).then(function (dataUrl) {
+          if (node.hasAttribute("href")) node.setAttribute("href", dataUrl);
+          if (node.hasAttributeNS(XLINK, "href"))
+            node.setAttributeNS(XLINK, "xlink:href", dataUrl);
+          return node;
+        });
+      }
+
+      function fetchDataUrl(url) {
+        return Promise.resolve(util.absoluteUrl(url))
+          .then(get || util.getAndEncode)
+          .then(function (data) {
+            return util.dataAsUrl(data, util.mimeType(url));
+          });
+      }
 
-        if (!background) return Promise.resolve(node);
+      function inlineStyleElement(node) {
+        var cssText = node.textContent;
+        if (!hasImages(cssText)) return Promise.resolve(node);
 
         return inliner
-          .inlineAll(background)
+          .inlineAll(resolveImageSet(cssText, ratio), undefined, get)
           .then(function (inlined) {
-            node.style.setProperty(
-              "background",
-              inlined,
-              node.style.getPropertyPriority("background")
-            );
-          })
-          .then(function () {
+            node.textContent = inlined;
             return node;
           });
       }
     }
+
+    function hasImages(value) {
+      return inliner.shouldProcess(value) || /image-set\(/i.test(value);
+    }
+
+    /**
+     * 把 image-set() 替换为最适合 ratio 的那一张图片的 url()
+     * 只请求真正会显示的那一张，也避免 svg 中不支持 image-set 的字符串写法
+     */
+    function resolveImageSet(value, ratio) {
+      var IMAGE_SET_REGEX = /(?:-webkit-)?image-set\(/gi;
+      var result = "";
+      var index = 0;
+      var match;
+
+      while ((match = IMAGE_SET_REGEX.exec(value)) !== null) {
+        var start = match.index + match[0].length;
+        var end = closingParen(value, start);
+        if (end === -1) break;
+
+        result +=
+          value.slice(index, match.index) +
+          bestCandidate(splitTopLevel(value.slice(start, end)));
+        index = end + 1;
+        IMAGE_SET_REGEX.lastIndex = index;
+      }
+      return result + value.slice(index);
+
+      function bestCandidate(candidates) {
+        var parsed = candidates
+          .map(parseCandidate)
+          .filter(function (candidate) {
+            return candidate.url;
+          });
+        if (parsed.length === 0) return "none";
+
+        // 不小于 ratio 的最小分辨率，没有的话取最大分辨率
+        parsed.sort(function (a, b) {
+          return a.resolution - b.resolution;
+        });
+        var best = parsed[parsed.length - 1];
+        for (var i = 0; i < parsed.length; i++) {
+          if (parsed[i].resolution >= ratio) {
+            best = parsed[i];
+            break;
+          }
+        }
+        return 'url("' + best.url + '")';
+      }
+
+      function parseCandidate(candidate) {
+        var url =
+          /^\s*(?:url\(\s*)?(["']?)(.*?)\1\s*\)?(?=\s+\d|\s+type\(|\s*$)/i.exec(
+            candidate
+          );
+        var resolution = /\s(\d*\.?\d+)(x|dppx|dpi|dpcm)\b/i.exec(candidate);
+        var value = resolution ? parseFloat(resolution[1]) : 1;
+        if (resolution && /dpi/i.test(resolution[2])) value /= 96;
+        if (resolution && /dpcm/i.test(resolution[2])) value /= 96 / 2.54;
+        return { url: url && url[2], resolution: value };
+      }
+    }
+
+    function closingParen(string, from) {
+      var depth = 1;
+      var quote = null;
+      for (var i = from; i < string.length; i++) {
+        var char = string[i];
+        if (quote) {
+          if (char === "\\") i++;
+          else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") quote = char;
+        else if (char === "(") depth++;
+        else if (char === ")" && --depth === 0) return i;
+      }
+      return -1;
+    }
+
+    function splitTopLevel(string) {
+      var parts = [];
+      var depth = 0;
+      var quote = null;
+      var last = 0;
+      for (var i = 0; i < string.length; i++) {
+        var char = string[i];
+        if (quote) {
+          if (char === "\\") i++;
+          else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") quote = char;
+        else if (char === "(") depth++;
+        else if (char === ")") depth--;
+        else if (char === "," && depth === 0) {
+          parts.push(string.slice(last, i));
+          last = i + 1;
+        }
+      }
+      parts.push(string.slice(last));
+      return parts;
+    }
   }
 })(this);